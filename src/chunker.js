@@ -0,0 +1,252 @@
+import {DEFAULT_ENCODING_NAME, MAX_TOKEN_PER_CHUNK, num_tokens_in_string} from "./tokens.js";
+
+/**
+ * A chunk of a source text, located by offsets so the text around it can be rebuilt exactly.
+ * @typedef {object} TextChunk
+ * @property {string} text Text of the chunk, without the whitespace around it.
+ * @property {number} start Offset of the chunk in the source text.
+ * @property {number} end Offset after the chunk.
+ * @property {number} context_start Offset of the source text shown as context before the chunk.
+ * @property {number} context_end Offset after the source text shown as context after the chunk.
+ */
+
+const PARAGRAPH_BREAK = /\r?\n[ \t]*\r?\n\s*/g
+const SENTENCE_END = /[.!?…]+["'”’)\]]*(?=\s)|[。！？；]+[」』”’）)]*\s*|\r?\n\s*/g
+
+/**
+ * Split the text into chunks of whole sentences, balanced in size and under max_tokens each.
+ *
+ * Chunks end at paragraph and sentence boundaries, CJK punctuation included. A sentence longer than
+ * max_tokens is split between words, or between characters for text without spaces.
+ * With chunk_overlap 0 each chunk has the whole text as context, otherwise about chunk_overlap tokens
+ * of whole sentences on each side. With whole_paragraphs, chunks only end within paragraphs longer than max_tokens.
+ * @param {string} text
+ * @param {number} max_tokens
+ * @param {string} encoding_name
+ * @param {number} chunk_overlap Tokens of context on each side of a chunk, 0 for the whole text.
+ * @param {boolean} whole_paragraphs Keep the paragraphs that fit in a chunk whole.
+ * @return {TextChunk[]}
+ */
+export function split_text(text, max_tokens = MAX_TOKEN_PER_CHUNK, encoding_name = DEFAULT_ENCODING_NAME, chunk_overlap = 0, whole_paragraphs = false) {
+    const units = split_units(text, max_tokens, encoding_name, whole_paragraphs)
+    if (units.length === 0) {
+        return []
+    }
+    const total_tokens = units.reduce((sum, unit) => sum + unit.tokens, 0)
+    const chunk_size = total_tokens / Math.ceil(total_tokens / max_tokens)
+    const groups = []
+    let group = []
+    let group_tokens = 0
+    for (const unit of units) {
+        // close the chunk at the sentence boundary nearest to the balanced size, never above max_tokens
+        if (group.length > 0 && (group_tokens + unit.tokens > max_tokens || group_tokens + unit.tokens / 2 > chunk_size)) {
+            groups.push(group)
+            group = []
+            group_tokens = 0
+        }
+        group.push(unit)
+        group_tokens += unit.tokens
+    }
+    groups.push(group)
+    let first_unit = 0
+    return groups.map(group => {
+        const last_unit = first_unit + group.length - 1
+        const start = group[0].start
+        const end = group[group.length - 1].end
+        const chunk = {
+            text: text.slice(start, end),
+            start,
+            end,
+            context_start: chunk_overlap > 0 ? units[overlap_unit(units, first_unit, -1, chunk_overlap)].start : 0,
+            context_end: chunk_overlap > 0 ? units[overlap_unit(units, last_unit, 1, chunk_overlap)].end : text.length,
+        }
+        first_unit = last_unit + 1
+        return chunk
+    })
+}
+
+/**
+ * Offsets of the paragraphs of the text, without the whitespace around them.
+ * @param {string} text
+ * @return {[number, number][]}
+ */
+export function split_paragraphs(text) {
+    return spans(text, 0, text.length, PARAGRAPH_BREAK)
+        .map(([start, end]) => trimmed_span(text, start, end))
+        .filter(([start, end]) => start < end)
+}
+
+/**
+ * Rebuild the translated text, putting back the whitespace and paragraph breaks of the source around each chunk.
+ * @param {string} source_text
+ * @param {TextChunk[]} chunks
+ * @param {string[]} translations One per chunk.
+ * @return {string}
+ */
+export function join_chunks(source_text, chunks, translations) {
+    if (chunks.length === 0) {
+        return source_text
+    }
+    let text = source_text.slice(0, chunks[0].start)
+    chunks.forEach((chunk, i) => {
+        const next_start = i + 1 < chunks.length ? chunks[i + 1].start : source_text.length
+        text += translations[i].trim() + source_text.slice(chunk.end, next_start)
+    })
+    return text
+}
+
+/**
+ * Index of the furthest unit from `from`, in the given direction, that keeps the context under `tokens`.
+ * @param {{tokens: number}[]} units
+ * @param {number} from
+ * @param {number} direction -1 for the context before, 1 for the context after.
+ * @param {number} tokens
+ * @return {number}
+ */
+function overlap_unit(units, from, direction, tokens) {
+    let index = from
+    let total = 0
+    while (index + direction >= 0 && index + direction < units.length && total + units[index + direction].tokens <= tokens) {
+        index += direction
+        total += units[index].tokens
+    }
+    return index
+}
+
+/**
+ * Split the text into sentences, each under max_tokens, as offsets without the whitespace around them.
+ * @param {string} text
+ * @param {number} max_tokens
+ * @param {string} encoding_name
+ * @param {boolean} whole_paragraphs Keep the paragraphs under max_tokens as single units.
+ * @return {{start: number, end: number, tokens: number}[]}
+ */
+function split_units(text, max_tokens, encoding_name, whole_paragraphs = false) {
+    const units = []
+    const add = (start, end) => {
+        [start, end] = trimmed_span(text, start, end)
+        if (start === end) {
+            return
+        }
+        const tokens = num_tokens_in_string(text.slice(start, end), encoding_name)
+        if (tokens <= max_tokens) {
+            units.push({start, end, tokens})
+        } else {
+            units.push(...split_long_sentence(text, start, end, tokens, max_tokens, encoding_name))
+        }
+    }
+    for (const [start, end] of spans(text, 0, text.length, PARAGRAPH_BREAK)) {
+        const [paragraph_start, paragraph_end] = trimmed_span(text, start, end)
+        if (whole_paragraphs && paragraph_start < paragraph_end
+            && num_tokens_in_string(text.slice(paragraph_start, paragraph_end), encoding_name) <= max_tokens) {
+            add(paragraph_start, paragraph_end)
+            continue
+        }
+        for (const [sentence_start, sentence_end] of spans(text, start, end, SENTENCE_END)) {
+            add(sentence_start, sentence_end)
+        }
+    }
+    return units
+}
+
+/**
+ * Cut text[start, end) after every match of the pattern.
+ * @param {string} text
+ * @param {number} start
+ * @param {number} end
+ * @param {RegExp} pattern A global pattern.
+ * @return {[number, number][]}
+ */
+function spans(text, start, end, pattern) {
+    const result = []
+    const part = text.slice(start, end)
+    let position = 0
+    for (const match of part.matchAll(pattern)) {
+        const cut = match.index + match[0].length
+        if (cut > position) {
+            result.push([start + position, start + cut])
+            position = cut
+        }
+    }
+    if (position < part.length) {
+        result.push([start + position, end])
+    }
+    return result
+}
+
+/**
+ * Split a sentence longer than max_tokens between words, or between characters when it has no spaces,
+ * never inside a character made of several UTF-16 code units.
+ * @param {string} text
+ * @param {number} start
+ * @param {number} end
+ * @param {number} tokens Tokens of the sentence.
+ * @param {number} max_tokens
+ * @param {string} encoding_name
+ * @return {{start: number, end: number, tokens: number}[]}
+ */
+function split_long_sentence(text, start, end, tokens, max_tokens, encoding_name) {
+    const sentence = text.slice(start, end)
+    const words = [...sentence.matchAll(/\S+\s*/g)]
+    const pieces = words.length > 1
+        ? words.map(word => [word.index, word.index + word[0].length])
+        : character_pieces(sentence, Math.max(1, Math.floor(Array.from(sentence).length * max_tokens / tokens)))
+    const units = []
+    let piece_start = pieces[0][0]
+    let piece_end = piece_start
+    let piece_tokens = 0
+    for (const [word_start, word_end] of pieces) {
+        const word_tokens = num_tokens_in_string(sentence.slice(word_start, word_end), encoding_name)
+        if (piece_end > piece_start && piece_tokens + word_tokens > max_tokens) {
+            units.push(trimmed_unit(text, start + piece_start, start + piece_end, piece_tokens))
+            piece_start = word_start
+            piece_tokens = 0
+        }
+        piece_end = word_end
+        piece_tokens += word_tokens
+    }
+    units.push(trimmed_unit(text, start + piece_start, start + piece_end, piece_tokens))
+    return units
+}
+
+/**
+ * Offsets of runs of `size` characters, counted in code points.
+ * @param {string} text
+ * @param {number} size
+ * @return {[number, number][]}
+ */
+function character_pieces(text, size) {
+    const pieces = []
+    let offset = 0
+    const characters = Array.from(text)
+    for (let i = 0; i < characters.length; i += size) {
+        const length = characters.slice(i, i + size).join("").length
+        pieces.push([offset, offset + length])
+        offset += length
+    }
+    return pieces
+}
+
+/**
+ * Offsets of text[start, end) without the whitespace around it.
+ * @param {string} text
+ * @param {number} start
+ * @param {number} end
+ * @return {[number, number]}
+ */
+function trimmed_span(text, start, end) {
+    while (start < end && /\s/.test(text[start])) {
+        start++
+    }
+    while (end > start && /\s/.test(text[end - 1])) {
+        end--
+    }
+    return [start, end]
+}
+
+function trimmed_unit(text, start, end, tokens) {
+    while (end > start && /\s/.test(text[end - 1])) {
+        end--
+    }
+    return {start, end, tokens}
+}
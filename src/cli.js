@@ -0,0 +1,436 @@
+import {parseArgs} from "node:util";
+import {mkdir, readdir, readFile, rename, stat, writeFile} from "node:fs/promises";
+import {basename, dirname, extname, join, relative, resolve, sep} from "node:path";
+import Translator from "./translator.js";
+
+/** Format of a file, by extension, files with other extensions are translated as plain text. */
+const FORMATS_BY_EXTENSION = {
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.html': 'html',
+    '.htm': 'html',
+    '.json': 'json',
+    '.po': 'po',
+    '.pot': 'po',
+    '.xlf': 'xliff',
+    '.xliff': 'xliff',
+    '.srt': 'srt',
+    '.vtt': 'vtt',
+}
+
+/** Extensions of the files translated when a directory is given. */
+const DIRECTORY_EXTENSIONS = ['.txt', ...Object.keys(FORMATS_BY_EXTENSION)]
+
+const USAGE = `Usage: translation-agent [--from <lang>] --to <lang>[,<lang>...] [options] [files, directories or globs...]
+
+Translates the given files, every supported file of the given directories, or stdin to stdout without any.
+
+Options:
+  --from <lang>         Source language, e.g. English, detected from the text when missing.
+  --to <langs>          Target language, e.g. German, or a comma-separated list such as German,French,Japanese
+                        translating the files into each of them.
+  --country <country>   Country of the target language, e.g. Switzerland.
+  --model <model>       Model as "provider:name", e.g. anthropic:claude-3-5-sonnet-latest or ollama:llama3.1,
+                        defaults to openai:gpt-4o.
+  --base-url <url>      Base URL of an OpenAI-compatible server serving --model, e.g. http://localhost:8000/v1.
+  --draft-model <model> Model of the initial translation, --model being used for reflection and improvement.
+  --max-tokens <n>      Maximum number of tokens per chunk, defaults to the budget of the model.
+  --format <format>     text, markdown, html, json, po, xliff, srt or vtt, defaults to the one of the file extension.
+  -o, --output <dir>    Write the translations into this directory, mirroring the input directories,
+                        into a subdirectory per language with several --to languages.
+  --suffix <suffix>     Language suffix of output files written next to their source, defaults to --to,
+                        a suffix per language being derived from each of them with several --to languages.
+  --resume              Skip the files whose outputs are newer than their source, to resume an interrupted run.
+  --dry-run             Print chunk counts and token estimates without calling any model.
+  -h, --help            Show this help.
+`
+
+/**
+ * A file to translate and where to write its translations.
+ * @typedef {object} CliJob
+ * @property {string} input
+ * @property {string[]} outputs Output path of each target language, in the order of --to.
+ */
+
+/**
+ * Run the command line tool.
+ * @param {string[]} args Command line arguments, without the node executable and script.
+ * @param {{stdin: NodeJS.ReadableStream, stdout: NodeJS.WritableStream, stderr: NodeJS.WritableStream}} io
+ * @return {Promise<number>} Exit code, 0 on success, 1 when a file failed and 2 for usage errors.
+ */
+export async function main(args, io = process) {
+    let values, positionals
+    try {
+        ({values, positionals} = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                from: {type: 'string'},
+                to: {type: 'string'},
+                country: {type: 'string', default: ""},
+                model: {type: 'string'},
+                'base-url': {type: 'string'},
+                'draft-model': {type: 'string'},
+                'max-tokens': {type: 'string'},
+                format: {type: 'string'},
+                output: {type: 'string', short: 'o'},
+                suffix: {type: 'string'},
+                resume: {type: 'boolean', default: false},
+                'dry-run': {type: 'boolean', default: false},
+                help: {type: 'boolean', short: 'h', default: false},
+            },
+        }))
+    } catch (e) {
+        io.stderr.write(`${e.message}\n\n${USAGE}`)
+        return 2
+    }
+    if (values.help) {
+        io.stdout.write(USAGE)
+        return 0
+    }
+    const max_tokens = values['max-tokens'] === undefined ? null : Number(values['max-tokens'])
+    if (max_tokens !== null && (!Number.isInteger(max_tokens) || max_tokens < 1)) {
+        io.stderr.write(`--max-tokens must be a positive integer, got ${values['max-tokens']}\n`)
+        return 2
+    }
+    const target_langs = (values.to ?? "").split(',').map(language => language.trim()).filter(Boolean)
+    if (!values['dry-run'] && target_langs.length === 0) {
+        io.stderr.write(`--to is required\n\n${USAGE}`)
+        return 2
+    }
+    if (target_langs.length > 1 && values.suffix !== undefined) {
+        io.stderr.write(`--suffix needs a single --to language, each language gets its own suffix\n`)
+        return 2
+    }
+    if (values['base-url'] && !values.model) {
+        io.stderr.write(`--base-url needs --model, the name of the model served there\n`)
+        return 2
+    }
+    const translator = new Translator({
+        source_lang: values.from,
+        target_lang: target_langs.length > 1 ? target_langs : target_langs[0],
+        country: values.country,
+        max_tokens,
+        model: values['base-url'] ? {provider: 'openai', model: values.model, base_url: values['base-url']} : values.model,
+        stage_models: {initial: values['draft-model']},
+    })
+    if (positionals.length === 0 || (positionals.length === 1 && positionals[0] === '-')) {
+        if (target_langs.length > 1) {
+            io.stderr.write(`stdin is translated into a single --to language, give files for several\n`)
+            return 2
+        }
+        return translate_stdin(translator, values, io)
+    }
+    // a dry run without --to has no output paths to print
+    const suffixes = values.suffix !== undefined ? [values.suffix] : target_langs.map(language_suffix)
+    let jobs
+    try {
+        jobs = await collect_jobs(positionals, values.output, suffixes)
+    } catch (e) {
+        io.stderr.write(`${e.message}\n`)
+        return 2
+    }
+    if (jobs.length === 0) {
+        io.stderr.write(`no files to translate\n`)
+        return 2
+    }
+    return values['dry-run'] ? dry_run(translator, jobs, values, io) : translate_files(translator, jobs, target_langs, values, io)
+}
+
+/**
+ * Translate stdin to stdout, or print its estimate with --dry-run.
+ * @param {Translator} translator
+ * @param {object} values Parsed options.
+ * @param {object} io
+ * @return {Promise<number>} 1 when the translation failed.
+ */
+async function translate_stdin(translator, values, io) {
+    try {
+        const chunks = []
+        for await (const chunk of io.stdin) {
+            chunks.push(chunk)
+        }
+        const source_text = Buffer.concat(chunks.map(chunk => Buffer.from(chunk))).toString('utf8')
+        const format = values.format ?? 'text'
+        if (values['dry-run']) {
+            io.stdout.write(format_estimate('-', translator.estimate(source_text, {format})) + "\n")
+            return 0
+        }
+        io.stdout.write(await translator.translate(source_text, {format}))
+        return 0
+    } catch (e) {
+        io.stderr.write(`${e.message}\n`)
+        return 1
+    }
+}
+
+/**
+ * Print the chunk count and token estimates of every file, and their total.
+ * @param {Translator} translator
+ * @param {CliJob[]} jobs
+ * @param {object} values Parsed options.
+ * @param {object} io
+ * @return {Promise<number>}
+ */
+async function dry_run(translator, jobs, values, io) {
+    const total = {tokens: 0, chunks: 0, model_calls: 0}
+    let exit_code = 0
+    for (const job of jobs) {
+        try {
+            const source_text = await readFile(job.input, 'utf8')
+            const estimate = translator.estimate(source_text, {format: values.format ?? format_of(job.input)})
+            const outputs = job.outputs.length > 0 ? ` -> ${job.outputs.join(", ")}` : ""
+            io.stdout.write(`${format_estimate(job.input, estimate)}${outputs}\n`)
+            total.tokens += estimate.tokens
+            total.chunks += estimate.chunks
+            total.model_calls += estimate.model_calls
+        } catch (e) {
+            io.stderr.write(`${job.input}: ${e.message}\n`)
+            exit_code = 1
+        }
+    }
+    io.stdout.write(`total: ${jobs.length} files, ${total.tokens} tokens, ${total.chunks} chunks, ${total.model_calls} model calls\n`)
+    return exit_code
+}
+
+/**
+ * Translate every file, going on with the next ones when one fails.
+ *
+ * Outputs are written to a temporary file renamed once complete, so an interrupted run never
+ * leaves a partial output that --resume would take for a finished one. With several target
+ * languages, --resume only translates a file into the languages whose output is missing or older.
+ * @param {Translator} translator
+ * @param {CliJob[]} jobs
+ * @param {string[]} target_langs
+ * @param {object} values Parsed options.
+ * @param {object} io
+ * @return {Promise<number>}
+ */
+async function translate_files(translator, jobs, target_langs, values, io) {
+    let failed = 0
+    for (const [n, job] of jobs.entries()) {
+        const progress = `[${n + 1}/${jobs.length}] ${job.input}`
+        try {
+            let pending = target_langs.map((_, i) => i)
+            if (values.resume) {
+                const up_to_date = await Promise.all(job.outputs.map(output => is_up_to_date(job.input, output)))
+                pending = pending.filter(i => !up_to_date[i])
+                if (pending.length === 0) {
+                    io.stderr.write(`${progress}: already translated, skipped\n`)
+                    continue
+                }
+            }
+            io.stderr.write(`${progress} -> ${pending.map(i => job.outputs[i]).join(", ")}\n`)
+            const source_text = await readFile(job.input, 'utf8')
+            const format = values.format ?? format_of(job.input)
+            let translations
+            if (target_langs.length === 1) {
+                translations = {[target_langs[0]]: await translator.translate(source_text, {format})}
+            } else {
+                translations = await translator.translate(source_text, {format, target_lang: pending.map(i => target_langs[i])})
+            }
+            for (const i of pending) {
+                const output = job.outputs[i]
+                await mkdir(dirname(output), {recursive: true})
+                const temporary_path = `${output}.tmp`
+                await writeFile(temporary_path, translations[target_langs[i]])
+                await rename(temporary_path, output)
+            }
+        } catch (e) {
+            io.stderr.write(`${progress}: ${e.message}\n`)
+            failed++
+        }
+    }
+    if (failed > 0) {
+        io.stderr.write(`${failed} of ${jobs.length} files failed\n`)
+        return 1
+    }
+    return 0
+}
+
+/**
+ * Expand the files, directories and globs into jobs, each with the output path of every language.
+ *
+ * With an output directory, files found in a directory or by a glob keep their path relative to it,
+ * other files are written at its top, in a subdirectory named after the suffix of each language
+ * when there are several. Without one, outputs are written next to their source with the language
+ * suffix before the extension.
+ * @param {string[]} patterns
+ * @param {string|undefined} output_dir
+ * @param {string[]} suffixes Suffix of each target language.
+ * @return {Promise<CliJob[]>}
+ */
+export async function collect_jobs(patterns, output_dir, suffixes) {
+    const jobs = new Map()
+    const add = (input, base) => {
+        const path = base === null ? basename(input) : relative(base, input)
+        const outputs = suffixes.map(suffix => {
+            if (!output_dir) {
+                return suffixed_path(input, suffix)
+            }
+            return suffixes.length > 1 ? join(output_dir, suffix, path) : join(output_dir, path)
+        })
+        if (outputs.every(output => resolve(output) !== resolve(input))) {
+            jobs.set(resolve(input), {input, outputs})
+        }
+    }
+    const excluded = output_dir ? resolve(output_dir) : null
+    for (const pattern of patterns) {
+        if (/[*?[{]/.test(pattern)) {
+            const base = glob_base(pattern)
+            const matcher = glob_pattern(pattern)
+            for (const file of await walk(base, excluded)) {
+                if (matcher.test(file.split(sep).join('/')) && !is_translation(file, suffixes, output_dir)) {
+                    add(file, base)
+                }
+            }
+            continue
+        }
+        const stats = await stat(pattern).catch(() => null)
+        if (!stats) {
+            throw new Error(`no such file or directory: ${pattern}`)
+        }
+        if (stats.isDirectory()) {
+            for (const file of await walk(pattern, excluded)) {
+                if (DIRECTORY_EXTENSIONS.includes(extname(file).toLowerCase()) && !is_translation(file, suffixes, output_dir)) {
+                    add(file, pattern)
+                }
+            }
+        } else {
+            add(pattern, null)
+        }
+    }
+    return [...jobs.values()]
+}
+
+/**
+ * Path of the translation of a file written next to it, e.g. docs/intro.de.md.
+ * @param {string} path
+ * @param {string} suffix
+ * @return {string}
+ */
+export function suffixed_path(path, suffix) {
+    const extension = extname(path)
+    return `${path.slice(0, path.length - extension.length)}.${suffix}${extension}`
+}
+
+/**
+ * Suffix of the output files of a language, e.g. "brazilian-portuguese" for "Brazilian Portuguese".
+ * @param {string} language
+ * @return {string}
+ */
+function language_suffix(language) {
+    return language.trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-')
+}
+
+function format_of(path) {
+    return FORMATS_BY_EXTENSION[extname(path).toLowerCase()] ?? 'text'
+}
+
+/**
+ * @param {string} name
+ * @param {import("./translator.js").TranslationEstimate} estimate
+ * @return {string}
+ */
+function format_estimate(name, estimate) {
+    return `${name}: ${estimate.tokens} tokens, ${estimate.chunks} chunks of about ${estimate.chunk_size} tokens, ${estimate.model_calls} model calls`
+}
+
+/**
+ * Whether a file found in a directory or by a glob is the output of an earlier run written next to its source.
+ * @param {string} path
+ * @param {string[]} suffixes
+ * @param {string|undefined} output_dir
+ * @return {boolean}
+ */
+function is_translation(path, suffixes, output_dir) {
+    return !output_dir && suffixes.some(suffix => basename(path, extname(path)).endsWith(`.${suffix}`))
+}
+
+async function is_up_to_date(input_path, output_path) {
+    const [input, output] = await Promise.all([stat(input_path), stat(output_path).catch(() => null)])
+    return output !== null && output.mtimeMs >= input.mtimeMs
+}
+
+/**
+ * List the files under a directory, skipping hidden entries and the excluded directory.
+ * @param {string} directory
+ * @param {string|null} excluded Absolute path of a directory to skip.
+ * @return {Promise<string[]>}
+ */
+async function walk(directory, excluded) {
+    const files = []
+    const entries = await readdir(directory, {withFileTypes: true})
+    entries.sort((a, b) => a.name.localeCompare(b.name))
+    for (const entry of entries) {
+        const path = join(directory, entry.name)
+        if (entry.name.startsWith('.') || resolve(path) === excluded) {
+            continue
+        }
+        if (entry.isDirectory()) {
+            files.push(...await walk(path, excluded))
+        } else if (entry.isFile()) {
+            files.push(path)
+        }
+    }
+    return files
+}
+
+/**
+ * Directory part of a glob before its first wildcard, "." when it starts with one.
+ * @param {string} pattern
+ * @return {string}
+ */
+function glob_base(pattern) {
+    const parts = pattern.split(/[\\/]/)
+    const static_parts = []
+    for (const part of parts.slice(0, -1)) {
+        if (/[*?[{]/.test(part)) {
+            break
+        }
+        static_parts.push(part)
+    }
+    return static_parts.length === 0 ? '.' : static_parts.join('/') || '/'
+}
+
+/**
+ * Regular expression matching the paths of a glob, with *, **, ?, [...] and {a,b} wildcards.
+ * @param {string} pattern
+ * @return {RegExp}
+ */
+function glob_pattern(pattern) {
+    let source = ""
+    let braces = 0
+    const normalized = pattern.replace(/\\/g, '/').replace(/^\.\//, '')
+    for (let i = 0; i < normalized.length; i++) {
+        const char = normalized[i]
+        if (char === '*' && normalized[i + 1] === '*') {
+            const slash = normalized[i + 2] === '/'
+            source += slash ? '(?:.*/)?' : '.*'
+            i += slash ? 2 : 1
+        } else if (char === '*') {
+            source += '[^/]*'
+        } else if (char === '?') {
+            source += '[^/]'
+        } else if (char === '[') {
+            const end = normalized.indexOf(']', i + 1)
+            if (end < 0) {
+                source += '\\['
+            } else {
+                source += `[${normalized.slice(i + 1, end).replace(/^!/, '^')}]`
+                i = end
+            }
+        } else if (char === '{') {
+            source += '(?:'
+            braces++
+        } else if (char === '}' && braces > 0) {
+            source += ')'
+            braces--
+        } else if (char === ',' && braces > 0) {
+            source += '|'
+        } else {
+            source += char.replace(/[.+^$()|\\]/g, '\\$&')
+        }
+    }
+    return new RegExp(`^(?:\\./)?${source}$`)
+}
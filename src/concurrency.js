@@ -0,0 +1,96 @@
+export const DEFAULT_CONCURRENCY = 4
+export const DEFAULT_MAX_RETRIES = 3
+export const DEFAULT_RETRY_DELAY_MS = 1000
+
+/**
+ * Call fn for every item with at most `concurrency` calls in flight.
+ *
+ * Results keep the order of the items, whatever order the calls finish in.
+ * The first rejection is rethrown once the calls already in flight have settled.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} concurrency Maximum number of concurrent calls.
+ * @param {function(T, number): Promise<R>} fn
+ * @return {Promise<R[]>}
+ */
+export async function map_with_concurrency(items, concurrency, fn) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error(`concurrency must be a positive integer, got ${concurrency}`)
+    }
+    const results = new Array(items.length)
+    let next = 0
+    let failed = false
+    async function worker() {
+        while (!failed && next < items.length) {
+            const position = next++
+            try {
+                results[position] = await fn(items[position], position)
+            } catch (e) {
+                failed = true
+                throw e
+            }
+        }
+    }
+    const workers = []
+    for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+        workers.push(worker())
+    }
+    const settled = await Promise.allSettled(workers)
+    const rejected = settled.find(result => result.status === 'rejected')
+    if (rejected) {
+        throw rejected.reason
+    }
+    return results
+}
+
+/**
+ * Call fn, retrying with exponential backoff while it fails with a rate-limit error.
+ * @template R
+ * @param {function(): Promise<R>} fn
+ * @param {number} max_retries Number of retries after the first attempt.
+ * @param {number} retry_delay_ms Delay before the first retry, doubled for each following one.
+ * @param {AbortSignal|null} signal Cuts the delay short when aborted, fn being called again to report it.
+ * @return {Promise<R>}
+ */
+export async function with_retry(fn, max_retries = DEFAULT_MAX_RETRIES, retry_delay_ms = DEFAULT_RETRY_DELAY_MS, signal = null) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn()
+        } catch (e) {
+            if (attempt >= max_retries || !is_rate_limit_error(e)) {
+                throw e
+            }
+            await sleep(retry_delay_ms * 2 ** attempt, signal)
+        }
+    }
+}
+
+/**
+ * Check whether an error thrown by a chat model is caused by rate limiting.
+ * @param {any} error
+ * @return {boolean}
+ */
+export function is_rate_limit_error(error) {
+    if (!error) {
+        return false
+    }
+    if (error.status === 429 || error.response?.status === 429) {
+        return true
+    }
+    if (error.name === 'RateLimitError' || error.lc_error_code === 'MODEL_RATE_LIMIT') {
+        return true
+    }
+    return /rate.?limit|too many requests/i.test(String(error.message ?? ''))
+}
+
+function sleep(ms, signal = null) {
+    return new Promise(resolve => {
+        const timer = setTimeout(done, ms)
+        signal?.addEventListener('abort', done, {once: true})
+        function done() {
+            clearTimeout(timer)
+            signal?.removeEventListener('abort', done)
+            resolve()
+        }
+    })
+}
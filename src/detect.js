@@ -0,0 +1,227 @@
+/** Confidence below which detect_language() reports no language. */
+export const MIN_DETECTION_CONFIDENCE = 0.6
+
+/** Characters of the text looked at, enough to tell languages apart without scanning whole documents. */
+const SAMPLE_LENGTH = 5000
+
+/**
+ * @typedef {object} LanguageDetection
+ * @property {string|null} language English name of the language, null when it could not be told.
+ * @property {number|null} confidence Between 0 and 1, null for a language answered by the model.
+ * @property {'script'|'statistical'|'model'} method How the language was found.
+ */
+
+/** Scripts used by a single language, or the main one, in the order they are checked. */
+const SCRIPTS = [
+    [/\p{Script=Hangul}/u, 'Korean'],
+    [/\p{Script=Greek}/u, 'Greek'],
+    [/\p{Script=Hebrew}/u, 'Hebrew'],
+    [/\p{Script=Thai}/u, 'Thai'],
+    [/\p{Script=Devanagari}/u, 'Hindi'],
+    [/\p{Script=Bengali}/u, 'Bengali'],
+    [/\p{Script=Gurmukhi}/u, 'Punjabi'],
+    [/\p{Script=Gujarati}/u, 'Gujarati'],
+    [/\p{Script=Tamil}/u, 'Tamil'],
+    [/\p{Script=Telugu}/u, 'Telugu'],
+    [/\p{Script=Kannada}/u, 'Kannada'],
+    [/\p{Script=Malayalam}/u, 'Malayalam'],
+    [/\p{Script=Sinhala}/u, 'Sinhala'],
+    [/\p{Script=Armenian}/u, 'Armenian'],
+    [/\p{Script=Georgian}/u, 'Georgian'],
+    [/\p{Script=Khmer}/u, 'Khmer'],
+    [/\p{Script=Lao}/u, 'Lao'],
+    [/\p{Script=Myanmar}/u, 'Burmese'],
+    [/\p{Script=Ethiopic}/u, 'Amharic'],
+]
+
+/** Frequent words of languages written in the Latin script, with letters only they use. */
+const LATIN_LANGUAGES = {
+    English: {words: 'the and of to is in that it for with was on are this be as you not have from', letters: ''},
+    German: {words: 'der die und das ist nicht ein eine zu den mit sich des auf für im dem von auch es', letters: 'ßäöü'},
+    French: {words: 'le la les et est des une un du que dans pour pas qui sur au avec ce il en', letters: 'çœèêàùâîû'},
+    Spanish: {words: 'el la los las y es que de en un una por con para no se del lo como su', letters: 'ñ¿¡áéíóú'},
+    Portuguese: {words: 'o a os as e é que de do da em um uma para com não no na dos se', letters: 'ãõçáéêóô'},
+    Italian: {words: 'il la le e è che di un una per non con del della in sono si gli lo anche', letters: 'èàòùì'},
+    Dutch: {words: 'de het een en is van dat niet op te in met voor zijn die er ook aan als dit', letters: ''},
+    Swedish: {words: 'och att det som en är på för med av inte till den har jag om ett var de vi', letters: 'åäö'},
+    Danish: {words: 'og at det er en på til med for af ikke den som har de et jeg fra vi kan', letters: 'æøå'},
+    Norwegian: {words: 'og i det er en på til med for av ikke den som har de et jeg fra vi kan', letters: 'æøå'},
+    Polish: {words: 'i w nie na się z do jest to że o jak ale po co tak od za przez dla', letters: 'łąęśźżćń'},
+    Czech: {words: 'a je v se na že to s z do není jsou jako ale pro o by které jak tak', letters: 'řěůčšž'},
+    Turkish: {words: 've bir bu da de için ile çok ne değil daha gibi olarak var ama en her o mi şey', letters: 'ğış'},
+    Finnish: {words: 'ja on ei se että oli hän ovat kuin mutta tai myös ole joka niin jos kun sen vain', letters: 'äö'},
+    Indonesian: {words: 'dan yang di ini itu dengan untuk tidak dari dalam akan ada adalah ke pada juga saya kami bisa atau', letters: ''},
+    Romanian: {words: 'și în de la este nu cu pe o un care să din pentru mai ce sunt a ca se', letters: 'șțăîâ'},
+    Hungarian: {words: 'a az és hogy nem is egy van meg de ez el csak mint már volt ki még vagy lesz', letters: 'őű'},
+    Vietnamese: {words: 'của và là có không được trong cho những này với một các người đã', letters: 'ơưđạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ'},
+}
+
+const LATIN_WORDS = Object.fromEntries(Object.entries(LATIN_LANGUAGES).map(([language, {words}]) => [language, new Set(words.split(' '))]))
+
+/** Script of languages by their lower-cased English name, as counted by count_scripts(). */
+const LANGUAGE_SCRIPTS = {
+    ...Object.fromEntries(Object.keys(LATIN_LANGUAGES).map(language => [language.toLowerCase(), 'Latin'])),
+    ...Object.fromEntries(SCRIPTS.map(([, language]) => [language.toLowerCase(), language])),
+    catalan: 'Latin',
+    croatian: 'Latin',
+    estonian: 'Latin',
+    filipino: 'Latin',
+    icelandic: 'Latin',
+    latvian: 'Latin',
+    lithuanian: 'Latin',
+    malay: 'Latin',
+    slovak: 'Latin',
+    slovenian: 'Latin',
+    swahili: 'Latin',
+    chinese: 'CJK',
+    mandarin: 'CJK',
+    cantonese: 'CJK',
+    japanese: 'CJK',
+    russian: 'Cyrillic',
+    ukrainian: 'Cyrillic',
+    belarusian: 'Cyrillic',
+    bulgarian: 'Cyrillic',
+    macedonian: 'Cyrillic',
+    kazakh: 'Cyrillic',
+    mongolian: 'Cyrillic',
+    arabic: 'Arabic',
+    persian: 'Arabic',
+    farsi: 'Arabic',
+    urdu: 'Arabic',
+    // Devanagari is counted as Hindi
+    marathi: 'Hindi',
+    nepali: 'Hindi',
+}
+
+/**
+ * Detect the language of a text from its script, and from its frequent words for the Latin script.
+ *
+ * Deterministic and offline: Japanese, Korean and Chinese are told apart by kana and hangul, Cyrillic and
+ * Arabic languages by the letters only they use, Latin script languages by counting their most frequent
+ * words and their distinctive letters. Markup tags and placeholders are ignored.
+ * @param {string} text
+ * @return {LanguageDetection}
+ */
+export function detect_language(text) {
+    const sample = text.slice(0, SAMPLE_LENGTH).replace(/<[^>]*>/g, " ")
+    const letters = sample.match(/\p{L}/gu) ?? []
+    if (letters.length === 0) {
+        return {language: null, confidence: 0, method: 'script'}
+    }
+    const counts = count_scripts(letters)
+    const [script, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0]
+    const share = count / letters.length
+    if (script === 'Latin') {
+        return detect_latin_language(sample)
+    }
+    return {language: script_language(script, sample), confidence: share, method: 'script'}
+}
+
+/**
+ * Script a language is written in, null for languages written in several scripts, such as Serbian, or unknown ones.
+ *
+ * Scripts are named like script_shares() names them: Latin, CJK, Cyrillic, Arabic, or the language of a script
+ * used by a single language, e.g. Greek or Korean.
+ * @param {string} language English name of the language, e.g. "Brazilian Portuguese" or "Simplified Chinese".
+ * @return {string|null}
+ */
+export function expected_script(language) {
+    const words = language.toLowerCase().split(/[^\p{L}]+/u)
+    const known = words.find(word => word in LANGUAGE_SCRIPTS)
+    return known === undefined ? null : LANGUAGE_SCRIPTS[known]
+}
+
+/**
+ * Share of the letters of the text written in each script, markup tags being ignored.
+ * @param {string} text
+ * @return {{letters: number, shares: Map<string, number>}}
+ */
+export function script_shares(text) {
+    const letters = text.replace(/<[^>]*>/g, " ").match(/\p{L}/gu) ?? []
+    const shares = new Map()
+    for (const [script, count] of count_scripts(letters)) {
+        shares.set(script, count / letters.length)
+    }
+    return {letters: letters.length, shares}
+}
+
+/**
+ * Count the letters of each script, Han and kana together as CJK.
+ * @param {string[]} letters
+ * @return {Map<string, number>}
+ */
+function count_scripts(letters) {
+    const counts = new Map()
+    for (const letter of letters) {
+        let script = 'Other'
+        if (/\p{Script=Latin}/u.test(letter)) {
+            script = 'Latin'
+        } else if (/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(letter)) {
+            script = 'CJK'
+        } else if (/\p{Script=Cyrillic}/u.test(letter)) {
+            script = 'Cyrillic'
+        } else if (/\p{Script=Arabic}/u.test(letter)) {
+            script = 'Arabic'
+        } else {
+            script = SCRIPTS.find(([pattern]) => pattern.test(letter))?.[1] ?? 'Other'
+        }
+        counts.set(script, (counts.get(script) ?? 0) + 1)
+    }
+    return counts
+}
+
+/**
+ * Language of a text written in a non-Latin script.
+ * @param {string} script Script counted by count_scripts().
+ * @param {string} sample
+ * @return {string|null}
+ */
+function script_language(script, sample) {
+    switch (script) {
+        case 'CJK':
+            if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(sample)) {
+                return 'Japanese'
+            }
+            return /\p{Script=Hangul}/u.test(sample) ? 'Korean' : 'Chinese'
+        case 'Cyrillic':
+            if (/[іїєґ]/i.test(sample)) {
+                return 'Ukrainian'
+            }
+            if (/[ђћџ]/i.test(sample)) {
+                return 'Serbian'
+            }
+            return /[ъ]/i.test(sample) && !/[ыэё]/i.test(sample) ? 'Bulgarian' : 'Russian'
+        case 'Arabic':
+            if (/[ےٹڈڑں]/.test(sample)) {
+                return 'Urdu'
+            }
+            return /[پچژگ]/.test(sample) ? 'Persian' : 'Arabic'
+        case 'Other':
+            return null
+        default:
+            return script
+    }
+}
+
+/**
+ * Score the Latin script languages by the share of their frequent words and distinctive letters in the text.
+ * @param {string} sample
+ * @return {LanguageDetection}
+ */
+function detect_latin_language(sample) {
+    const lowered = sample.toLowerCase()
+    const words = lowered.match(/\p{L}+/gu) ?? []
+    const scores = Object.entries(LATIN_LANGUAGES).map(([language, {letters}]) => {
+        const vocabulary = LATIN_WORDS[language]
+        let score = words.filter(word => vocabulary.has(word)).length
+        // each distinctive letter found counts half a word, as some of them are shared between languages
+        score += Array.from(letters).filter(letter => lowered.includes(letter)).length / 2
+        return {language, score}
+    }).sort((a, b) => b.score - a.score)
+    const [best, second] = scores
+    if (best.score === 0) {
+        return {language: null, confidence: 0, method: 'statistical'}
+    }
+    const confidence = best.score / (best.score + second.score)
+    return {language: best.score >= 1 ? best.language : null, confidence, method: 'statistical'}
+}
@@ -0,0 +1,151 @@
+const PLACEHOLDER_PATTERN = /⟦(\d+)⟧/g
+
+/**
+ * A piece of a parsed document, either kept as it is or sent through the translation pipeline.
+ * @typedef {object} DocumentPart
+ * @property {string} text Raw text, or for translatable parts the text with protected spans replaced by placeholders.
+ * @property {boolean} translatable
+ * @property {string[]} [placeholders] Protected spans of a translatable part, placeholder ⟦i⟧ stands for placeholders[i].
+ */
+
+/**
+ * Collects the parts of a document, merging adjacent raw text.
+ */
+export class DocumentBuilder {
+    constructor() {
+        /** @type {DocumentPart[]} */
+        this.parts = []
+    }
+
+    /**
+     * Append text that is kept as it is.
+     * @param {string} text
+     */
+    raw(text) {
+        if (text === "") {
+            return
+        }
+        const last = this.parts[this.parts.length - 1]
+        if (last && !last.translatable) {
+            last.text += text
+        } else {
+            this.parts.push({text, translatable: false})
+        }
+    }
+
+    /**
+     * Append text to translate, whitespace around it is kept as raw text.
+     *
+     * Text with no letters left once the protected spans are removed is kept as it is.
+     * @param {string} text
+     * @param {function(string, string[]): string} protect Replaces the spans to keep with placeholders.
+     */
+    segment(text, protect = text => text) {
+        const [, leading, body, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/)
+        const placeholders = []
+        const protected_text = protect(body, placeholders)
+        this.raw(leading)
+        if (/\p{L}/u.test(protected_text.replace(PLACEHOLDER_PATTERN, ""))) {
+            this.parts.push({text: protected_text, translatable: true, placeholders})
+        } else {
+            this.raw(body)
+        }
+        this.raw(trailing)
+    }
+
+    /**
+     * Append the parts of an already parsed document.
+     * @param {DocumentPart[]} parts
+     */
+    append(parts) {
+        for (const part of parts) {
+            if (part.translatable) {
+                this.parts.push(part)
+            } else {
+                this.raw(part.text)
+            }
+        }
+    }
+}
+
+/**
+ * Replace a span with a placeholder.
+ * @param {string} span
+ * @param {string[]} placeholders Receives the span.
+ * @return {string} The placeholder.
+ */
+export function placeholder(span, placeholders) {
+    placeholders.push(span)
+    return `⟦${placeholders.length - 1}⟧`
+}
+
+/**
+ * Put the protected spans back into a translated part.
+ *
+ * Spans whose placeholder the model dropped are left out rather than moved to a position that may not fit,
+ * and returned as missing to be reported.
+ * @param {string} text
+ * @param {string[]} placeholders
+ * @return {{text: string, missing: string[]}}
+ */
+export function restore_placeholders(text, placeholders) {
+    const used = new Set()
+    const restored = text.replace(PLACEHOLDER_PATTERN, (match, index) => {
+        if (index >= placeholders.length) {
+            return match
+        }
+        used.add(Number(index))
+        return placeholders[index]
+    })
+    const missing = placeholders.filter((_, i) => !used.has(i))
+    return {text: restored, missing}
+}
+
+/**
+ * Validation check of a translated part reporting the placeholders of the source the translation dropped,
+ * so that the part is translated again when validation is on.
+ * @param {string} source_text
+ * @param {string} translation
+ * @return {import("../validation.js").ValidationIssue[]}
+ */
+export function placeholder_check(source_text, translation) {
+    const missing = [...new Set(source_text.match(PLACEHOLDER_PATTERN) ?? [])].filter(match => !translation.includes(match))
+    if (missing.length === 0) {
+        return []
+    }
+    return [{
+        check: 'placeholders',
+        message: `The placeholders ${missing.join(", ")} are missing from the translation. Keep every placeholder exactly as written.`,
+    }]
+}
+
+/**
+ * Reassemble a document from its parts and the translations of its translatable parts.
+ * @param {DocumentPart[]} parts
+ * @param {string[]} translations One translation per translatable part, in order.
+ * @return {{text: string, missing: {segment_index: number, placeholders: string[]}[]}}
+ */
+export function render_document(parts, translations) {
+    let text = ""
+    const missing = []
+    let segment_index = 0
+    for (const part of parts) {
+        if (!part.translatable) {
+            text += part.text
+            continue
+        }
+        const restored = restore_placeholders(translations[segment_index].trim(), part.placeholders)
+        if (restored.missing.length > 0) {
+            missing.push({segment_index, placeholders: restored.missing})
+        }
+        text += restored.text
+        segment_index++
+    }
+    return {text, missing}
+}
+
+/**
+ * Instruction added to the prompts when segments contain placeholders.
+ */
+export const PLACEHOLDER_INSTRUCTION = `The text contains placeholders such as ⟦0⟧ that stand for markup, code or URLs.
+Keep every placeholder exactly as written, in the position that matches the translated text, and do not add new ones.`
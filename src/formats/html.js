@@ -0,0 +1,109 @@
+import {DocumentBuilder, placeholder} from "./document.js";
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<![^>]*>|<\?[\s\S]*?\?>|<\/?[A-Za-z][\w:-]*(?:[^>"']|"[^"]*"|'[^']*')*>/g
+
+/** Elements whose content is never translated, kept with their content as one raw block. */
+const RAW_ELEMENTS = new Set(['script', 'style', 'pre', 'textarea', 'svg', 'math', 'template'])
+
+/** Inline elements whose content is never translated, kept with their content as one placeholder. */
+const PROTECTED_INLINE_ELEMENTS = new Set(['code', 'kbd', 'samp', 'var'])
+
+const INLINE_ELEMENTS = new Set([
+    'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'cite', 'data', 'del', 'dfn', 'em', 'font', 'i', 'img', 'ins',
+    'mark', 'q', 'rp', 'rt', 'ruby', 's', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'wbr',
+])
+
+/**
+ * Split an HTML document into raw markup and translatable text runs.
+ *
+ * Block-level tags, comments and the content of script, style, pre and similar elements are kept as they are.
+ * Text between block-level tags is translated as one segment, its inline tags and inline code replaced by placeholders,
+ * so attributes and URLs are never sent to the model as translatable text.
+ * @param {string} source
+ * @return {import("./document.js").DocumentPart[]}
+ */
+export function parse_html(source) {
+    const builder = new DocumentBuilder()
+    /** @type {{text: string, tag: boolean}[]} */
+    let run = []
+    const flush = () => {
+        if (run.length > 0) {
+            builder.segment(run.map(piece => piece.text).join(""), (_, placeholders) => run
+                .map(piece => piece.tag ? placeholder(piece.text, placeholders) : piece.text)
+                .join("")
+                .trim())
+            run = []
+        }
+    }
+    let position = 0
+    TOKEN_PATTERN.lastIndex = 0
+    let match
+    while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+        if (match.index > position) {
+            run.push({text: source.slice(position, match.index), tag: false})
+        }
+        const tag = match[0]
+        position = TOKEN_PATTERN.lastIndex
+        const name = tag_name(tag)
+        const closing = tag.startsWith('</')
+        if (name && !closing && (RAW_ELEMENTS.has(name) || PROTECTED_INLINE_ELEMENTS.has(name)) && !tag.endsWith('/>')) {
+            const end = find_closing_tag(source, name, position)
+            const element = tag + source.slice(position, end)
+            position = end
+            TOKEN_PATTERN.lastIndex = end
+            if (RAW_ELEMENTS.has(name)) {
+                flush()
+                builder.raw(element)
+            } else {
+                run.push({text: element, tag: true})
+            }
+        } else if (name && INLINE_ELEMENTS.has(name)) {
+            run.push({text: tag, tag: true})
+        } else {
+            flush()
+            builder.raw(tag)
+        }
+    }
+    if (position < source.length) {
+        run.push({text: source.slice(position), tag: false})
+    }
+    flush()
+    return builder.parts
+}
+
+/**
+ * Lower-cased name of an element tag, null for comments, doctypes and processing instructions.
+ * @param {string} tag
+ * @return {string|null}
+ */
+function tag_name(tag) {
+    const match = tag.match(/^<\/?([A-Za-z][\w:-]*)/)
+    return match ? match[1].toLowerCase() : null
+}
+
+/**
+ * Index just after the closing tag of the element, the end of the source when it is not closed.
+ * @param {string} source
+ * @param {string} name
+ * @param {number} from
+ * @return {number}
+ */
+function find_closing_tag(source, name, from) {
+    const pattern = new RegExp(`</${name}\\s*>`, 'ig')
+    pattern.lastIndex = from
+    const match = pattern.exec(source)
+    return match ? pattern.lastIndex : source.length
+}
+
+/**
+ * Whether a line opens an HTML block in Markdown.
+ * @param {string} line
+ * @return {boolean}
+ */
+export function starts_html_block(line) {
+    if (/^ {0,3}<!--/.test(line)) {
+        return true
+    }
+    const match = line.match(/^ {0,3}<\/?([A-Za-z][\w-]*)[\s/>]/)
+    return match !== null && !INLINE_ELEMENTS.has(match[1].toLowerCase()) && !PROTECTED_INLINE_ELEMENTS.has(match[1].toLowerCase())
+}
@@ -0,0 +1,89 @@
+import {parse_markdown} from "./markdown.js";
+import {parse_html} from "./html.js";
+import {parse_json_bundle, render_json_bundle} from "./json.js";
+import {parse_po, render_po} from "./po.js";
+import {parse_xliff, render_xliff} from "./xliff.js";
+
+export {placeholder_check, render_document, PLACEHOLDER_INSTRUCTION} from "./document.js";
+export {
+    batch_units,
+    check_placeholders,
+    DEFAULT_BATCH_SIZE,
+    format_batch,
+    LOCALIZATION_INSTRUCTION,
+    parse_batch,
+    unbatch
+} from "./localization.js";
+export {
+    DEFAULT_MAX_LINE_LENGTH,
+    DEFAULT_MAX_LINES,
+    parse_subtitles,
+    render_subtitles,
+    subtitle_check,
+    subtitle_instruction
+} from "./subtitles.js";
+
+/** Document formats translate() can split into structure and translatable text. */
+export const DOCUMENT_FORMATS = ['markdown', 'html']
+
+/**
+ * Split a document into raw markup and translatable parts.
+ * @param {string} source
+ * @param {'markdown'|'html'} format
+ * @return {import("./document.js").DocumentPart[]}
+ */
+export function parse_document(source, format) {
+    switch (format) {
+        case 'markdown':
+            return parse_markdown(source)
+        case 'html':
+            return parse_html(source)
+        default:
+            throw new Error(`unsupported document format: ${format}`)
+    }
+}
+
+/** Subtitle formats translate() translates cue by cue, keeping their timings. */
+export const SUBTITLE_FORMATS = ['srt', 'vtt']
+
+/** Localization file formats translate() fills with target strings. */
+export const LOCALIZATION_FORMATS = ['json', 'po', 'xliff']
+
+/**
+ * Parse a localization file into the strings to translate.
+ * @param {string|object} content
+ * @param {'json'|'po'|'xliff'} format
+ * @return {{units: import("./localization.js").LocalizationUnit[]}}
+ */
+export function parse_localization(content, format) {
+    switch (format) {
+        case 'json':
+            return parse_json_bundle(content)
+        case 'po':
+            return parse_po(content)
+        case 'xliff':
+            return parse_xliff(content)
+        default:
+            throw new Error(`unsupported localization format: ${format}`)
+    }
+}
+
+/**
+ * Render a parsed localization file with the translations of its units.
+ * @param {object} parsed Result of parse_localization().
+ * @param {'json'|'po'|'xliff'} format
+ * @param {(string|undefined)[]} translations One per unit, undefined keeps the unit untranslated.
+ * @return {string|object}
+ */
+export function render_localization(parsed, format, translations) {
+    switch (format) {
+        case 'json':
+            return render_json_bundle(parsed, translations)
+        case 'po':
+            return render_po(parsed, translations)
+        case 'xliff':
+            return render_xliff(parsed, translations)
+        default:
+            throw new Error(`unsupported localization format: ${format}`)
+    }
+}
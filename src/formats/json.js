@@ -0,0 +1,146 @@
+/**
+ * @typedef {object} JsonBundle
+ * @property {any} data Parsed bundle.
+ * @property {string|null} text JSON text of the bundle, null when it was given as an object.
+ * @property {import("./localization.js").LocalizationUnit[]} units
+ * @property {(string|number)[][]} paths Path of the value of each unit.
+ * @property {[number, number][]} spans Start and end offsets of the string literal of each unit in the JSON text.
+ */
+
+/**
+ * Parse an i18next/ICU style JSON bundle, every string value is a unit keyed on its dotted key path.
+ *
+ * Plural keys such as count_one and count_other are translated on their own and kept as they are.
+ * @param {string|object} content JSON text or an already parsed bundle.
+ * @return {JsonBundle}
+ */
+export function parse_json_bundle(content) {
+    const from_string = typeof content === 'string'
+    const data = from_string ? JSON.parse(content) : content
+    const bundle = {
+        data,
+        text: from_string ? content : null,
+        units: [],
+        paths: [],
+        spans: [],
+    }
+    const walk = (value, path) => {
+        if (typeof value === 'string') {
+            if (value.trim() !== "") {
+                const id = path.join('.')
+                bundle.units.push({id, source: value, context: `key: ${id}`})
+                bundle.paths.push(path)
+            }
+        } else if (Array.isArray(value)) {
+            value.forEach((item, i) => walk(item, [...path, i]))
+        } else if (value !== null && typeof value === 'object') {
+            for (const [key, item] of Object.entries(value)) {
+                walk(item, [...path, key])
+            }
+        }
+    }
+    walk(data, [])
+    if (from_string) {
+        const spans = string_spans(content)
+        bundle.spans = bundle.paths.map(path => spans.get(JSON.stringify(path)))
+    }
+    return bundle
+}
+
+/**
+ * Render the bundle with the translations, values without a translation keep their source text.
+ *
+ * JSON text is rendered by replacing the translated string literals only, keeping its formatting.
+ * @param {JsonBundle} bundle
+ * @param {(string|undefined)[]} translations One per unit.
+ * @return {string|object} JSON text when the bundle was given as text, an object otherwise.
+ */
+export function render_json_bundle(bundle, translations) {
+    if (bundle.text !== null) {
+        let text = ""
+        let position = 0
+        const replaced = bundle.spans
+            .map((span, i) => ({span, translation: translations[i]}))
+            // values left as they are keep their escapes
+            .filter(({translation}, i) => translation !== undefined && translation !== bundle.units[i].source)
+            .sort((a, b) => a.span[0] - b.span[0])
+        for (const {span: [start, end], translation} of replaced) {
+            text += bundle.text.slice(position, start) + JSON.stringify(translation)
+            position = end
+        }
+        return text + bundle.text.slice(position)
+    }
+    const data = structuredClone(bundle.data)
+    bundle.paths.forEach((path, i) => {
+        if (translations[i] === undefined || path.length === 0) {
+            return
+        }
+        let parent = data
+        for (const key of path.slice(0, -1)) {
+            parent = parent[key]
+        }
+        parent[path[path.length - 1]] = translations[i]
+    })
+    return data
+}
+
+/**
+ * Locate the string literals of the values of a valid JSON text.
+ *
+ * A key repeated within an object is located at its last occurrence, whose value JSON.parse() keeps.
+ * @param {string} text
+ * @return {Map<string, [number, number]>} Start and end offsets keyed on the JSON-encoded path of the value.
+ */
+function string_spans(text) {
+    const spans = new Map()
+    let i = 0
+    const skip_whitespace = () => {
+        while (/\s/.test(text[i] ?? "")) {
+            i++
+        }
+    }
+    const string_end = start => {
+        let end = start + 1
+        while (text[end] !== '"') {
+            end += text[end] === '\\' ? 2 : 1
+        }
+        return end + 1
+    }
+    const value = path => {
+        skip_whitespace()
+        const start = i
+        if (text[i] === '"') {
+            i = string_end(i)
+            spans.set(JSON.stringify(path), [start, i])
+        } else if (text[i] === '{' || text[i] === '[') {
+            const object = text[i] === '{'
+            i++
+            skip_whitespace()
+            for (let index = 0; text[i] !== (object ? '}' : ']'); index++) {
+                if (object) {
+                    skip_whitespace()
+                    const key_start = i
+                    i = string_end(i)
+                    const key = JSON.parse(text.slice(key_start, i))
+                    skip_whitespace()
+                    // the colon
+                    i++
+                    value([...path, key])
+                } else {
+                    value([...path, index])
+                }
+                skip_whitespace()
+                if (text[i] === ',') {
+                    i++
+                }
+            }
+            i++
+        } else {
+            while (i < text.length && !/[\s,\]}]/.test(text[i])) {
+                i++
+            }
+        }
+    }
+    value([])
+    return spans
+}
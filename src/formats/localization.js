@@ -0,0 +1,205 @@
+import {num_tokens_in_string} from "../tokens.js";
+
+/** Maximum number of strings sent to the model in one batch. */
+export const DEFAULT_BATCH_SIZE = 20
+
+/**
+ * A string of a localization file to translate.
+ * @typedef {object} LocalizationUnit
+ * @property {string} id Key of the string in its file, e.g. a JSON key path or a trans-unit id.
+ * @property {string} source Source text, XLIFF inline markup replaced by placeholders.
+ * @property {string} context Comments, message context or key shown to the model as guidance.
+ * @property {string[]} [placeholders] Protected inline markup, placeholder ⟦i⟧ stands for placeholders[i].
+ */
+
+/**
+ * A problem found in the translation of a localization unit.
+ * @typedef {object} LocalizationIssue
+ * @property {string} id Id of the unit.
+ * @property {'missing'|'placeholders'} problem The unit is missing from the model output, or its placeholders changed.
+ * @property {string[]} [expected] Placeholders of the source.
+ * @property {string[]} [actual] Placeholders of the translation.
+ */
+
+/**
+ * Instruction added to the prompts of localization batches.
+ */
+export const LOCALIZATION_INSTRUCTION = `The text is a list of user interface strings, each delimited by <SEGMENT id="..."> and </SEGMENT> tags.
+Translate each string on its own and keep every <SEGMENT> tag with its id, in the same order. The context attribute only
+describes where the string is used, do not translate it or repeat it in the output.
+Keep placeholders such as {name}, {{name}}, %s, %1$d and ⟦0⟧ exactly as written, and keep ICU plural and select syntax
+such as {count, plural, one {...} other {...}} unchanged except for the text inside the branches.`
+
+/**
+ * Group units into batches under the token budget and the batch size.
+ * @param {LocalizationUnit[]} units
+ * @param {number} max_tokens Maximum number of source tokens per batch.
+ * @param {string} encoding_name
+ * @param {number} batch_size Maximum number of units per batch.
+ * @return {number[][]} Indexes of the units of each batch.
+ */
+export function batch_units(units, max_tokens, encoding_name, batch_size = DEFAULT_BATCH_SIZE) {
+    const batches = []
+    let batch = []
+    let batch_tokens = 0
+    units.forEach((unit, i) => {
+        const tokens = num_tokens_in_string(unit.source, encoding_name)
+        if (batch.length > 0 && (batch.length >= batch_size || batch_tokens + tokens > max_tokens)) {
+            batches.push(batch)
+            batch = []
+            batch_tokens = 0
+        }
+        batch.push(i)
+        batch_tokens += tokens
+    })
+    if (batch.length > 0) {
+        batches.push(batch)
+    }
+    return batches
+}
+
+/**
+ * Format a batch of units as the text of one chunk, numbering the segments from 1.
+ * @param {LocalizationUnit[]} units
+ * @return {string}
+ */
+export function format_batch(units) {
+    return units.map((unit, i) => {
+        const context = unit.context ? ` context="${unit.context.replace(/"/g, "'").replace(/\s+/g, " ")}"` : ""
+        return `<SEGMENT id="${i + 1}"${context}>${unit.source}</SEGMENT>`
+    }).join("\n")
+}
+
+/**
+ * Read the translated segments of a batch back from the model output.
+ * @param {string} text
+ * @return {Map<number, string>} Translation by segment number.
+ */
+export function parse_batch(text) {
+    const translations = new Map()
+    for (const [, id, translation] of text.matchAll(/<SEGMENT id="(\d+)"[^>]*>([\s\S]*?)<\/SEGMENT>/g)) {
+        translations.set(Number(id), translation)
+    }
+    return translations
+}
+
+/**
+ * Read the translation of every unit back from the model output of its batch.
+ * @param {number[][]} batches Indexes of the units of each batch, from batch_units().
+ * @param {string[]} translated_chunks Model output of each batch.
+ * @param {number} unit_count
+ * @return {(string|undefined)[]} One per unit, undefined for the units missing from the output.
+ */
+export function unbatch(batches, translated_chunks, unit_count) {
+    const translations = new Array(unit_count)
+    batches.forEach((batch, b) => {
+        const batch_translations = parse_batch(translated_chunks[b])
+        batch.forEach((unit_index, position) => {
+            translations[unit_index] = batch_translations.get(position + 1)
+        })
+    })
+    return translations
+}
+
+/**
+ * Extract the placeholders of a string: ICU arguments, i18next interpolations and nesting,
+ * printf conversions and the ⟦i⟧ placeholders of protected markup.
+ * @param {string} text
+ * @return {string[]} Distinct placeholders, sorted.
+ */
+export function extract_placeholders(text) {
+    const placeholders = new Set()
+    const simple_pattern = /⟦\d+⟧|\{\{[^{}]+\}\}|\$t\([^)]*\)|%(?:\d+\$)?[-+ 0#]*\d*(?:\.\d+)?[sdifuxXeEgGcop@%]|%\([\w.]+\)[sdifr]/g
+    for (const [match] of text.matchAll(simple_pattern)) {
+        placeholders.add(match.replace(/\s+/g, ""))
+    }
+    for (const argument of icu_arguments(text.replace(simple_pattern, ""))) {
+        placeholders.add(argument)
+    }
+    return [...placeholders].sort()
+}
+
+/**
+ * Compare the placeholders of a source string and its translation.
+ * @param {string} source
+ * @param {string} translation
+ * @return {{expected: string[], actual: string[]}|null} null when they match.
+ */
+export function check_placeholders(source, translation) {
+    const expected = extract_placeholders(source)
+    const actual = extract_placeholders(translation)
+    if (expected.length === actual.length && expected.every((placeholder, i) => placeholder === actual[i])) {
+        return null
+    }
+    return {expected, actual}
+}
+
+/**
+ * List the arguments of an ICU message, e.g. {name} and {count, plural}, including those nested in plural branches.
+ * @param {string} text
+ * @return {string[]}
+ */
+function icu_arguments(text) {
+    const args = []
+    let i = 0
+    const skip_to_closing_brace = () => {
+        let depth = 0
+        while (i < text.length) {
+            if (text[i] === '{') {
+                depth++
+            } else if (text[i] === '}') {
+                if (depth === 0) {
+                    i++
+                    return
+                }
+                depth--
+            }
+            i++
+        }
+    }
+    const argument = () => {
+        const match = /^\s*([\p{L}\p{N}_]+)\s*(?:,\s*(\w+)\s*)?/u.exec(text.slice(i))
+        if (!match) {
+            skip_to_closing_brace()
+            return
+        }
+        i += match[0].length
+        const [, name, type] = match
+        args.push(type ? `{${name}, ${type}}` : `{${name}}`)
+        if (text[i] !== ',' || !['plural', 'select', 'selectordinal'].includes(type)) {
+            skip_to_closing_brace()
+            return
+        }
+        i++
+        while (i < text.length && text[i] !== '}') {
+            if (text[i] === '{') {
+                i++
+                message(true)
+            } else {
+                i++
+            }
+        }
+        i++
+    }
+    const message = (nested) => {
+        while (i < text.length) {
+            const char = text[i]
+            if (char === "'" && (text[i + 1] === '{' || text[i + 1] === '}')) {
+                const end = text.indexOf("'", i + 1)
+                i = end < 0 ? text.length : end + 1
+            } else if (char === '}') {
+                i++
+                if (nested) {
+                    return
+                }
+            } else if (char === '{') {
+                i++
+                argument()
+            } else {
+                i++
+            }
+        }
+    }
+    message(false)
+    return args
+}
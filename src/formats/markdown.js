@@ -0,0 +1,172 @@
+import {DocumentBuilder, placeholder} from "./document.js";
+import {parse_html, starts_html_block} from "./html.js";
+
+const INLINE_PATTERN = new RegExp([
+    /(`+)[\s\S]*?\1/.source,
+    /(!?\[)((?:[^[\]]|\[[^\]]*\])*)(\]\((?:[^()\s]|\([^()\s]*\))*(?:\s+(?:"[^"]*"|'[^']*'))?\s*\)|\]\[[^\]]*\])/.source,
+    /<(?:https?:|mailto:)[^>\s]+>/.source,
+    /<\/?[A-Za-z][\w-]*(?:[^>"']|"[^"]*"|'[^']*')*>/.source,
+    /https?:\/\/[^\s<>)\]]*[^\s<>)\].,;:!?'"]/.source,
+].join('|'), 'g')
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/
+const HEADING_PATTERN = /^( {0,3}#{1,6}[ \t]+)(.*?)([ \t]+#+[ \t]*)?$/
+const THEMATIC_BREAK_PATTERN = /^ {0,3}(?:([-*_])(?:[ \t]*\1){2,}|=+)[ \t]*$/
+const LIST_OR_QUOTE_PATTERN = /^((?:[ \t]*>[ \t]?)*[ \t]*(?:(?:[-*+]|\d{1,9}[.)])[ \t]+(?:\[[ xX]\][ \t]+)?)?)(?=\S)/
+const LINK_DEFINITION_PATTERN = /^ {0,3}\[[^\]]+\]:[ \t]*\S+/
+const TABLE_SEPARATOR_PATTERN = /^[ \t]*\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/
+
+/**
+ * Split a Markdown document into raw markup and translatable text.
+ *
+ * Front matter, code blocks, link definitions and block markers (heading hashes, list bullets,
+ * quote markers, table pipes) are kept as they are. Inline code, link destinations, autolinks,
+ * inline HTML and bare URLs are replaced by placeholders inside the translated text.
+ * @param {string} source
+ * @return {import("./document.js").DocumentPart[]}
+ */
+export function parse_markdown(source) {
+    const builder = new DocumentBuilder()
+    const lines = source.split(/(?<=\n)/)
+    let i = 0
+    if (/^---\r?\n$/.test(lines[0] ?? "")) {
+        const end = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line))
+        if (end > 0) {
+            builder.raw(lines.slice(0, end + 1).join(""))
+            i = end + 1
+        }
+    }
+    let previous_blank = true
+    let previous_list = false
+    while (i < lines.length) {
+        const line = lines[i]
+        const content = line.replace(/\r?\n$/, "")
+        const newline = line.slice(content.length)
+        const fence = content.match(FENCE_PATTERN)
+        let blank = false
+        let list = previous_list
+        if (content.trim() === "") {
+            builder.raw(line)
+            blank = true
+            i++
+        } else if (fence) {
+            const closing = new RegExp(`^ {0,3}${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}\\s*$`)
+            let end = i + 1
+            while (end < lines.length && !closing.test(lines[end])) {
+                end++
+            }
+            builder.raw(lines.slice(i, end + 1).join(""))
+            i = end + 1
+        } else if (/^( {4}|\t)/.test(content) && previous_blank && !previous_list) {
+            while (i < lines.length && (/^( {4}|\t)/.test(lines[i]) || lines[i].trim() === "")) {
+                builder.raw(lines[i])
+                i++
+            }
+        } else if (starts_html_block(content)) {
+            let end = i
+            while (end < lines.length && lines[end].trim() !== "") {
+                end++
+            }
+            builder.append(parse_html(lines.slice(i, end).join("")))
+            i = end
+        } else if (THEMATIC_BREAK_PATTERN.test(content) || LINK_DEFINITION_PATTERN.test(content)) {
+            builder.raw(line)
+            i++
+        } else if (HEADING_PATTERN.test(content)) {
+            const [, prefix, text, suffix = ""] = content.match(HEADING_PATTERN)
+            builder.raw(prefix)
+            builder.segment(text, protect_inline)
+            builder.raw(suffix + newline)
+            i++
+        } else if (content.includes('|') && TABLE_SEPARATOR_PATTERN.test((lines[i + 1] ?? "").trimEnd())) {
+            i = parse_table(builder, lines, i)
+        } else {
+            const [prefix] = content.match(LIST_OR_QUOTE_PATTERN)
+            list = /(?:^|[\s>])(?:[-*+]|\d{1,9}[.)])[ \t]/.test(prefix) || (previous_list && /^\s/.test(content))
+            builder.raw(prefix)
+            if (prefix !== "") {
+                builder.segment(content.slice(prefix.length), protect_inline)
+                builder.raw(newline)
+                i++
+            } else {
+                let end = i + 1
+                while (end < lines.length && continues_paragraph(lines[end], lines[end + 1])) {
+                    end++
+                }
+                const paragraph = lines.slice(i, end).join("")
+                const text = paragraph.replace(/\r?\n$/, "")
+                builder.segment(text, protect_inline)
+                builder.raw(paragraph.slice(text.length))
+                i = end
+            }
+        }
+        previous_blank = blank
+        previous_list = blank ? previous_list : list
+    }
+    return builder.parts
+}
+
+/**
+ * Replace inline code, link destinations, autolinks, inline HTML and bare URLs with placeholders.
+ * Link and image text stays translatable.
+ * @param {string} text
+ * @param {string[]} placeholders
+ * @return {string}
+ */
+export function protect_inline(text, placeholders) {
+    return text.replace(INLINE_PATTERN, (match, _ticks, open, label, destination) => {
+        if (open !== undefined) {
+            return placeholder(open, placeholders) + protect_inline(label, placeholders) + placeholder(destination, placeholders)
+        }
+        return placeholder(match, placeholders)
+    })
+}
+
+/**
+ * Whether the line continues the current paragraph rather than starting a new block.
+ * @param {string} line
+ * @param {string|undefined} next_line
+ * @return {boolean}
+ */
+function continues_paragraph(line, next_line) {
+    const content = line.replace(/\r?\n$/, "")
+    if (content.trim() === "") {
+        return false
+    }
+    if (FENCE_PATTERN.test(content) || HEADING_PATTERN.test(content) || THEMATIC_BREAK_PATTERN.test(content)) {
+        return false
+    }
+    if (starts_html_block(content) || LINK_DEFINITION_PATTERN.test(content)) {
+        return false
+    }
+    if (content.includes('|') && TABLE_SEPARATOR_PATTERN.test((next_line ?? "").trimEnd())) {
+        return false
+    }
+    return content.match(LIST_OR_QUOTE_PATTERN)[1] === ""
+}
+
+/**
+ * Parse a pipe table starting at lines[start], translating each cell on its own.
+ * @param {DocumentBuilder} builder
+ * @param {string[]} lines
+ * @param {number} start
+ * @return {number} Index of the first line after the table.
+ */
+function parse_table(builder, lines, start) {
+    let i = start
+    while (i < lines.length && lines[i].includes('|') && lines[i].trim() !== "") {
+        if (i === start + 1) {
+            builder.raw(lines[i])
+        } else {
+            for (const cell of lines[i].split(/((?<!\\)\|)/)) {
+                if (cell === '|') {
+                    builder.raw(cell)
+                } else {
+                    builder.segment(cell, protect_inline)
+                }
+            }
+        }
+        i++
+    }
+    return i
+}
@@ -0,0 +1,243 @@
+/**
+ * @typedef {object} PoEntry
+ * @property {string[]} lines Lines of the entry.
+ * @property {number} msgstr_start Index of the first msgstr line.
+ * @property {number} msgstr_end Index after the last msgstr line.
+ * @property {string} msgid
+ * @property {string|null} msgid_plural
+ * @property {number} nplurals Number of msgstr[n] forms to write for a plural entry.
+ * @property {number[]} unit_indexes Units of the singular and, for plural entries, plural form, or of every form
+ *     when the target language has more than two.
+ */
+
+/**
+ * @typedef {object} PoCatalog
+ * @property {(string|PoEntry)[]} blocks Raw lines between entries, and entries.
+ * @property {string} eol
+ * @property {import("./localization.js").LocalizationUnit[]} units
+ */
+
+/** Counts tried to find examples of each plural form of the target language. */
+const PLURAL_EXAMPLE_COUNTS = 200
+const PLURAL_EXAMPLES = 4
+
+/**
+ * Parse a gettext PO file, every entry without a translation becomes a unit, two for plural entries.
+ *
+ * When the Plural-Forms header declares more than two forms, plural entries get a unit per form instead, each
+ * with counts using that form as context, so the model writes every form.
+ * Entries that are already translated, the header and obsolete entries are kept as they are.
+ * Translator comments, extracted comments and msgctxt are given to the model as context.
+ * @param {string} content
+ * @return {PoCatalog}
+ */
+export function parse_po(content) {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n'
+    const lines = content.split(/\r?\n/)
+    const nplurals = Number(content.match(/nplurals\s*=\s*(\d+)/)?.[1] ?? 0)
+    const examples = nplurals > 2 ? plural_examples(content.match(/\bplural\s*=\s*([^;"]+)/)?.[1] ?? "", nplurals) : null
+    const catalog = {blocks: [], eol, units: []}
+    let i = 0
+    while (i < lines.length) {
+        if (lines[i].trim() === "") {
+            catalog.blocks.push(lines[i])
+            i++
+            continue
+        }
+        let end = i
+        while (end < lines.length && lines[end].trim() !== "") {
+            end++
+        }
+        const entry = parse_entry(lines.slice(i, end))
+        if (entry && entry.msgid !== "" && entry.untranslated) {
+            entry.nplurals = nplurals || Math.max(entry.msgstr_count, 2)
+            entry.unit_indexes = [catalog.units.length]
+            if (entry.msgid_plural !== null && nplurals > 2) {
+                entry.unit_indexes = []
+                for (let form = 0; form < nplurals; form++) {
+                    const counts = examples?.[form] ?? []
+                    // the singular form is the one of the count 1 alone, the first one without examples
+                    const singular = examples ? counts.length === 1 && counts[0] === 1 : form === 0
+                    const usage = counts.length > 0 ? `, for counts such as ${counts.join(", ")}` : ""
+                    entry.unit_indexes.push(catalog.units.length)
+                    catalog.units.push({
+                        id: form === 0 ? entry.id : `${entry.id} (plural ${form})`,
+                        source: singular ? entry.msgid : entry.msgid_plural,
+                        context: [entry.context, `plural form ${form} of ${nplurals}${usage}`].filter(Boolean).join(" "),
+                    })
+                }
+                catalog.blocks.push(entry)
+                i = end
+                continue
+            }
+            catalog.units.push({id: entry.id, source: entry.msgid, context: entry.context})
+            if (entry.msgid_plural !== null) {
+                entry.unit_indexes.push(catalog.units.length)
+                catalog.units.push({id: `${entry.id} (plural)`, source: entry.msgid_plural, context: entry.context})
+            }
+            catalog.blocks.push(entry)
+        } else {
+            catalog.blocks.push(...lines.slice(i, end))
+        }
+        i = end
+    }
+    return catalog
+}
+
+/**
+ * Render the catalog with the translations written to the msgstr of the untranslated entries.
+ *
+ * Plural entries get the singular translation in msgstr[0] and the plural one in msgstr[1], the translation of each
+ * form when the target language has more than two, or only the plural translation when it has a single form.
+ * Entries whose translation is missing keep their empty msgstr.
+ * @param {PoCatalog} catalog
+ * @param {(string|undefined)[]} translations One per unit.
+ * @return {string}
+ */
+export function render_po(catalog, translations) {
+    const lines = []
+    for (const block of catalog.blocks) {
+        if (typeof block === 'string') {
+            lines.push(block)
+            continue
+        }
+        const forms = block.unit_indexes.map(i => translations[i])
+        const [singular, plural] = forms
+        let msgstr
+        if (forms.includes(undefined)) {
+            msgstr = block.lines.slice(block.msgstr_start, block.msgstr_end)
+        } else if (block.msgid_plural === null) {
+            msgstr = format_po_string('msgstr', singular)
+        } else if (block.nplurals === 1) {
+            msgstr = format_po_string('msgstr[0]', plural)
+        } else if (forms.length === block.nplurals) {
+            msgstr = forms.flatMap((form, n) => format_po_string(`msgstr[${n}]`, form))
+        } else {
+            msgstr = []
+            for (let n = 0; n < block.nplurals; n++) {
+                msgstr.push(...format_po_string(`msgstr[${n}]`, n === 0 ? singular : plural))
+            }
+        }
+        lines.push(...block.lines.slice(0, block.msgstr_start), ...msgstr, ...block.lines.slice(block.msgstr_end))
+    }
+    return lines.join(catalog.eol)
+}
+
+/**
+ * Counts using each plural form, from the plural expression of the Plural-Forms header.
+ * @param {string} expression C expression of n giving the index of the form, e.g. (n==1 ? 0 : 1).
+ * @param {number} nplurals
+ * @return {number[][]|null} The first counts of each form, null when the expression cannot be evaluated.
+ */
+function plural_examples(expression, nplurals) {
+    // only arithmetic, comparisons and conditionals of n, which evaluate the same in JavaScript
+    if (!/^[\sn\d()?:|&=!<>%+\-*]+$/.test(expression)) {
+        return null
+    }
+    let plural_form
+    try {
+        plural_form = new Function('n', `return Number(${expression})`)
+    } catch {
+        return null
+    }
+    const examples = Array.from({length: nplurals}, () => [])
+    for (let n = 0; n < PLURAL_EXAMPLE_COUNTS; n++) {
+        const form = plural_form(n)
+        if (!Number.isInteger(form) || form < 0 || form >= nplurals) {
+            return null
+        }
+        if (examples[form].length < PLURAL_EXAMPLES) {
+            examples[form].push(n)
+        }
+    }
+    return examples
+}
+
+/**
+ * Parse the keywords of an entry, null for obsolete or malformed entries.
+ * @param {string[]} lines
+ * @return {object|null}
+ */
+function parse_entry(lines) {
+    const fields = {}
+    const comments = []
+    let keyword = null
+    let msgstr_start = -1
+    let msgstr_end = -1
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim()
+        if (line.startsWith('#~')) {
+            return null
+        }
+        if (line.startsWith('#.') || /^#\s/.test(line) || line === '#') {
+            comments.push(line.replace(/^#\.?\s?/, ""))
+            keyword = null
+            continue
+        }
+        if (line.startsWith('#')) {
+            keyword = null
+            continue
+        }
+        const match = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[\d+\])?)\s+"(.*)"$/)
+        if (match) {
+            keyword = match[1]
+            fields[keyword] = unescape_po(match[2])
+        } else if (keyword && /^".*"$/.test(line)) {
+            fields[keyword] += unescape_po(line.slice(1, -1))
+        } else {
+            return null
+        }
+        if (keyword.startsWith('msgstr')) {
+            if (msgstr_start < 0) {
+                msgstr_start = i
+            }
+            msgstr_end = i + 1
+        }
+    }
+    if (fields.msgid === undefined || msgstr_start < 0) {
+        return null
+    }
+    const msgstr = Object.keys(fields).filter(key => key.startsWith('msgstr'))
+    const context = [...comments]
+    if (fields.msgctxt !== undefined) {
+        context.push(`msgctxt: ${fields.msgctxt}`)
+    }
+    return {
+        lines,
+        msgstr_start,
+        msgstr_end,
+        msgid: fields.msgid,
+        msgid_plural: fields.msgid_plural ?? null,
+        id: fields.msgctxt !== undefined ? `${fields.msgctxt}\u0004${fields.msgid}` : fields.msgid,
+        context: context.join(" "),
+        untranslated: msgstr.every(key => fields[key] === ""),
+        msgstr_count: msgstr.length,
+    }
+}
+
+/**
+ * Format a keyword and its string, splitting multi-line strings the way gettext tools do.
+ * @param {string} keyword
+ * @param {string} value
+ * @return {string[]}
+ */
+function format_po_string(keyword, value) {
+    const parts = value.split(/(?<=\n)/)
+    if (parts.length <= 1) {
+        return [`${keyword} "${escape_po(value)}"`]
+    }
+    return [`${keyword} ""`, ...parts.map(part => `"${escape_po(part)}"`)]
+}
+
+function unescape_po(text) {
+    return text.replace(/\\(.)/g, (_, char) => ({n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\'})[char] ?? char)
+}
+
+function escape_po(text) {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+        .replace(/\t/g, '\\t')
+        .replace(/\r/g, '\\r')
+}
@@ -0,0 +1,260 @@
+import {placeholder, restore_placeholders} from "./document.js";
+import {parse_batch} from "./localization.js";
+
+/** Maximum number of characters of a subtitle line, the usual limit of broadcasters and streaming services. */
+export const DEFAULT_MAX_LINE_LENGTH = 42
+export const DEFAULT_MAX_LINES = 2
+
+/** Formatting tags of cue text: HTML-like tags of SRT and WebVTT, and ASS override tags such as {\an8}. */
+const TAG_PATTERN = /<[^>\n]+>|\{\\[^}\n]*\}/g
+const DIALOGUE_LINE_PATTERN = /^(?:<[^>]+>|\{\\[^}]*\})*\s*[-–‐]/
+/** Characters a line may break after without a space, in scripts written without spaces between words. */
+const WIDE_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー][、。，．！？」』）ー…]*/u
+
+/**
+ * @typedef {object} SubtitleCue
+ * @property {string} id Cue identifier, its number in SRT.
+ * @property {string} timing Timing line of the cue, with its WebVTT settings.
+ * @property {number} start Offset of the cue text in the file.
+ * @property {number} end Offset after the cue text.
+ * @property {boolean} dialogue Whether every line of the cue starts with a dash, one line per speaker.
+ */
+
+/**
+ * @typedef {object} SubtitleFile
+ * @property {string} content
+ * @property {string} newline Line break of the file, \n or \r\n.
+ * @property {SubtitleCue[]} cues Cues in file order, the ones without text being left out.
+ * @property {import("./localization.js").LocalizationUnit[]} units Text of each cue, formatting tags replaced by placeholders.
+ */
+
+/**
+ * A cue whose translation does not fit in the line limits.
+ * @typedef {object} SubtitleIssue
+ * @property {string} id Id of the cue.
+ * @property {'missing'|'too_long'} problem The translation is empty, or it needs more lines than allowed.
+ * @property {string[]} [lines] Lines of the translation.
+ */
+
+/**
+ * Parse an SRT or WebVTT file into its cues.
+ *
+ * Blocks without a timing line, such as the WEBVTT header, NOTE, STYLE and REGION blocks, are kept as they are.
+ * The lines of a cue are translated as one text, rewrapped to the line limits once translated, except for
+ * dialogue cues whose lines each start with a dash.
+ * @param {string} content
+ * @param {'srt'|'vtt'} format
+ * @return {SubtitleFile}
+ */
+export function parse_subtitles(content, format) {
+    if (format === 'vtt' && !/^\uFEFF?WEBVTT/.test(content)) {
+        throw new Error(`not a WebVTT file, it does not start with WEBVTT`)
+    }
+    const file = {content, newline: content.includes("\r\n") ? "\r\n" : "\n", cues: [], units: []}
+    let block = []
+    let offset = 0
+    const end_block = () => {
+        const timing = block.findIndex(line => line.text.includes('-->'))
+        const text_lines = block.slice(timing + 1)
+        if (timing >= 0 && text_lines.length > 0) {
+            const last = text_lines[text_lines.length - 1]
+            const lines = text_lines.map(line => line.text.trimEnd())
+            const dialogue = lines.length > 1 && lines.every(line => DIALOGUE_LINE_PATTERN.test(line))
+            const id = block.slice(0, timing).map(line => line.text.trim()).join(" ") || String(file.cues.length + 1)
+            const placeholders = []
+            const source = lines
+                .map(line => line.trim())
+                .join(dialogue ? "\n" : " ")
+                .replace(TAG_PATTERN, tag => placeholder(tag, placeholders))
+            file.cues.push({
+                id,
+                timing: block[timing].text.trim(),
+                start: text_lines[0].start,
+                end: last.start + last.text.trimEnd().length,
+                dialogue,
+            })
+            file.units.push({id, source, context: "", placeholders})
+        }
+        block = []
+    }
+    for (const line of content.split(/(?<=\n)/)) {
+        if (line.trim() === "") {
+            end_block()
+        } else {
+            block.push({text: line, start: offset})
+        }
+        offset += line.length
+    }
+    end_block()
+    return file
+}
+
+/**
+ * Render the file with the translated text of every cue, wrapped to the line limits, keeping cue numbers and timings.
+ * @param {SubtitleFile} file
+ * @param {(string|undefined)[]} translations One per cue, undefined for the cues left untranslated.
+ * @param {number} max_line_length
+ * @param {number} max_lines
+ * @return {{text: string, issues: SubtitleIssue[]}}
+ */
+export function render_subtitles(file, translations, max_line_length = DEFAULT_MAX_LINE_LENGTH, max_lines = DEFAULT_MAX_LINES) {
+    let text = ""
+    let position = 0
+    const issues = []
+    file.cues.forEach((cue, i) => {
+        const translation = translations[i]?.trim()
+        if (!translation) {
+            issues.push({id: cue.id, problem: 'missing'})
+            return
+        }
+        const restored = restore_placeholders(translation, file.units[i].placeholders).text
+        const lines = wrap_subtitle(restored, max_line_length, cue.dialogue)
+        if (lines.length > max_lines) {
+            issues.push({id: cue.id, problem: 'too_long', lines})
+        }
+        text += file.content.slice(position, cue.start) + lines.join(file.newline)
+        position = cue.end
+    })
+    return {text: text + file.content.slice(position), issues}
+}
+
+/**
+ * Break the text of a cue into balanced lines of at most max_line_length characters, formatting tags not counted.
+ *
+ * Dialogue cues keep one line per speaker, each wrapped on its own. Words longer than a line are not broken.
+ * @param {string} text
+ * @param {number} max_line_length
+ * @param {boolean} dialogue
+ * @return {string[]}
+ */
+export function wrap_subtitle(text, max_line_length = DEFAULT_MAX_LINE_LENGTH, dialogue = false) {
+    const paragraphs = dialogue ? text.split(/\s*\n\s*/) : [text.replace(/\s*\n\s*/g, " ")]
+    return paragraphs.flatMap(paragraph => wrap_balanced(paragraph.trim(), max_line_length))
+}
+
+/**
+ * Check that the translated cues of a batch are all there and fit in the line limits, for the validation stage.
+ * @param {number} max_line_length
+ * @param {number} max_lines
+ * @return {function(string, string): import("../validation.js").ValidationIssue[]}
+ */
+export function subtitle_check(max_line_length = DEFAULT_MAX_LINE_LENGTH, max_lines = DEFAULT_MAX_LINES) {
+    return (source_text, translation) => {
+        const translations = parse_batch(translation)
+        const missing = []
+        const too_long = []
+        for (const [id, source] of parse_batch(source_text)) {
+            const translated = translations.get(id)?.trim()
+            if (!translated) {
+                missing.push(id)
+            } else if (wrap_subtitle(translated, max_line_length, source.includes("\n")).length > max_lines) {
+                too_long.push(id)
+            }
+        }
+        const issues = []
+        if (missing.length > 0) {
+            issues.push({
+                check: 'segments',
+                message: `The subtitles ${missing.join(", ")} are missing from the translation. Keep every <SEGMENT> tag with its id.`,
+            })
+        }
+        if (too_long.length > 0) {
+            issues.push({
+                check: 'lines',
+                message: `The subtitles ${too_long.join(", ")} do not fit in ${max_lines} lines of ${max_line_length} characters. Shorten them, keeping their meaning.`,
+            })
+        }
+        return issues
+    }
+}
+
+/**
+ * Instruction added to the prompts of subtitle batches.
+ * @param {number} max_line_length
+ * @param {number} max_lines
+ * @return {string}
+ */
+export function subtitle_instruction(max_line_length = DEFAULT_MAX_LINE_LENGTH, max_lines = DEFAULT_MAX_LINES) {
+    return `The text is the dialogue of video subtitles, the text of each subtitle cue being delimited by <SEGMENT id="..."> and
+</SEGMENT> tags. Translate each subtitle and keep every <SEGMENT> tag with its id, in the same order, without merging
+or splitting subtitles.
+Each translated subtitle has to be read while it is on screen, in at most ${max_lines} lines of ${max_line_length} characters:
+condense the wording when a literal translation would be longer, keeping the meaning.
+When the lines of a subtitle start with a dash, one per speaker, keep one line per speaker with its dash.
+Keep placeholders such as ⟦0⟧, which stand for formatting tags, exactly as written.`
+}
+
+/**
+ * Wrap text in the fewest lines of at most max_line_length characters, as even in length as possible.
+ * @param {string} text
+ * @param {number} max_line_length
+ * @return {string[]}
+ */
+function wrap_balanced(text, max_line_length) {
+    const words = split_words(text)
+    const lines = wrap_greedy(words, max_line_length)
+    if (lines.length <= 1) {
+        return lines.map(line => line.text)
+    }
+    // the narrowest width still giving the same number of lines balances them
+    const total = words.reduce((sum, word) => sum + word.length + (word.space ? 1 : 0), 0)
+    for (let width = Math.ceil(total / lines.length); width < max_line_length; width++) {
+        const balanced = wrap_greedy(words, width)
+        if (balanced.length === lines.length) {
+            return balanced.map(line => line.text)
+        }
+    }
+    return lines.map(line => line.text)
+}
+
+/**
+ * @param {{text: string, length: number, space: boolean}[]} words
+ * @param {number} width
+ * @return {{text: string, length: number}[]}
+ */
+function wrap_greedy(words, width) {
+    const lines = []
+    let line = null
+    for (const word of words) {
+        const length = line ? line.length + (word.space ? 1 : 0) + word.length : word.length
+        if (line && length <= width) {
+            line.text += (word.space ? " " : "") + word.text
+            line.length = length
+        } else {
+            line = {text: word.text, length: word.length}
+            lines.push(line)
+        }
+    }
+    return lines
+}
+
+/**
+ * Split text into the units a line may break between: words, and single characters of scripts without spaces.
+ * @param {string} text
+ * @return {{text: string, length: number, space: boolean}[]} length not counting formatting tags, space
+ *     being whether the unit follows a space.
+ */
+function split_words(text) {
+    const words = []
+    for (const match of text.matchAll(/(\s*)(\S+)/g)) {
+        let space = match[1] !== "" && words.length > 0
+        let rest = match[2]
+        while (rest !== "") {
+            const wide = rest.match(WIDE_PATTERN)
+            let length = wide === null ? rest.length : (wide.index === 0 ? wide[0].length : wide.index)
+            // tags and opening brackets stay with the character they come before
+            if (wide && wide.index > 0 && /^(?:<[^>]*>|\{\\[^}]*\}|[「『（])+$/.test(rest.slice(0, wide.index))) {
+                length = wide.index + wide[0].length
+            }
+            const piece = rest.slice(0, length)
+            words.push({text: piece, length: visible_length(piece), space})
+            rest = rest.slice(piece.length)
+            space = false
+        }
+    }
+    return words
+}
+
+function visible_length(text) {
+    return Array.from(text.replace(TAG_PATTERN, "").replace(/⟦\d+⟧/g, "")).length
+}
@@ -0,0 +1,107 @@
+import {placeholder, restore_placeholders} from "./document.js";
+import {decode_xml, encode_xml} from "./xml.js";
+
+/**
+ * @typedef {object} XliffSegment
+ * @property {number} start Offset of the segment element in the file.
+ * @property {number} end Offset after the segment element.
+ * @property {string} element The segment element, trans-unit for XLIFF 1.2 and segment for XLIFF 2.0.
+ * @property {number} unit_index
+ */
+
+/**
+ * @typedef {object} XliffFile
+ * @property {string} content
+ * @property {XliffSegment[]} segments Segments to translate, in file order.
+ * @property {import("./localization.js").LocalizationUnit[]} units
+ */
+
+/**
+ * Parse an XLIFF 1.2 or 2.0 file, every trans-unit (1.2) or segment (2.0) without a target becomes a unit.
+ *
+ * Inline elements of the source such as <g>, <x/>, <ph> or <pc> are replaced by placeholders,
+ * notes are given to the model as context. Units marked translate="no" are kept as they are.
+ * @param {string} content
+ * @return {XliffFile}
+ */
+export function parse_xliff(content) {
+    const version_2 = /<xliff\b[^>]*\bversion\s*=\s*["']2/.test(content)
+    const file = {content, segments: [], units: []}
+    const add_segment = (start, element, id, context) => {
+        const source = element.match(/<source\b[^>]*>([\s\S]*?)<\/source>/)
+        const target = element.match(/<target\b[^>]*>([\s\S]*?)<\/target>/)
+        if (!source || (target && target[1].trim() !== "")) {
+            return
+        }
+        const placeholders = []
+        const text = decode_xml(source[1].replace(/<[^>]+>/g, tag => placeholder(tag, placeholders)))
+        if (text.trim() === "") {
+            return
+        }
+        file.segments.push({start, end: start + element.length, element, unit_index: file.units.length})
+        file.units.push({id, source: text, context, placeholders})
+    }
+    if (version_2) {
+        for (const unit of content.matchAll(/<unit\b([^>]*)>([\s\S]*?)<\/unit>/g)) {
+            if (/\btranslate\s*=\s*["']no["']/.test(unit[1])) {
+                continue
+            }
+            const id = attribute(unit[1], 'id')
+            const context = notes(unit[2])
+            const body_offset = unit.index + unit[0].indexOf('>') + 1
+            let n = 0
+            for (const segment of unit[2].matchAll(/<segment\b[^>]*>[\s\S]*?<\/segment>/g)) {
+                add_segment(body_offset + segment.index, segment[0], `${id}#${n++}`, context)
+            }
+        }
+    } else {
+        for (const unit of content.matchAll(/<trans-unit\b([^>]*)>[\s\S]*?<\/trans-unit>/g)) {
+            if (/\btranslate\s*=\s*["']no["']/.test(unit[1])) {
+                continue
+            }
+            add_segment(unit.index, unit[0], attribute(unit[1], 'id'), notes(unit[0]))
+        }
+    }
+    return file
+}
+
+/**
+ * Render the file with a target element holding the translation of every translated segment.
+ * @param {XliffFile} file
+ * @param {(string|undefined)[]} translations One per unit.
+ * @return {string}
+ */
+export function render_xliff(file, translations) {
+    let output = ""
+    let position = 0
+    for (const segment of file.segments) {
+        const translation = translations[segment.unit_index]
+        if (translation === undefined) {
+            continue
+        }
+        const {text} = restore_placeholders(encode_xml(translation), file.units[segment.unit_index].placeholders)
+        let element
+        if (/<target\b[^>]*\/>/.test(segment.element)) {
+            element = segment.element.replace(/<target\b([^>]*?)\s*\/>/, (_, attributes) => `<target${attributes}>${text}</target>`)
+        } else if (/<target\b/.test(segment.element)) {
+            element = segment.element.replace(/(<target\b[^>]*>)[\s\S]*?(<\/target>)/, (_, open, close) => open + text + close)
+        } else {
+            const indent = segment.element.match(/\n([ \t]*)<source\b/)?.[1]
+            const separator = indent === undefined ? "" : `\n${indent}`
+            element = segment.element.replace(/<\/source>/, () => `</source>${separator}<target>${text}</target>`)
+        }
+        output += file.content.slice(position, segment.start) + element
+        position = segment.end
+    }
+    return output + file.content.slice(position)
+}
+
+function attribute(attributes, name) {
+    return attributes.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`))?.[1] ?? ""
+}
+
+function notes(element) {
+    return [...element.matchAll(/<note\b[^>]*>([\s\S]*?)<\/note>/g)]
+        .map(note => decode_xml(note[1].trim()))
+        .join(" ")
+}
@@ -0,0 +1,27 @@
+/**
+ * Decode the predefined and numeric character references of XML text.
+ * @param {string} text
+ * @return {string}
+ */
+export function decode_xml(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&')
+}
+
+/**
+ * Escape text for XML element content.
+ * @param {string} text
+ * @return {string}
+ */
+export function encode_xml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+}
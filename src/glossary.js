@@ -0,0 +1,319 @@
+import {createHash} from "node:crypto";
+import {readFile} from "node:fs/promises";
+import {extname} from "node:path";
+import {decode_xml} from "./formats/xml.js";
+
+/**
+ * @typedef {object} GlossaryEntry
+ * @property {string} source Term in the source language.
+ * @property {string} target Required translation, equal to source for do-not-translate terms.
+ */
+
+/**
+ * @typedef {object} Glossary
+ * @property {GlossaryEntry[]} entries Terms with a required translation.
+ * @property {string[]} do_not_translate Terms that must be kept as they are.
+ */
+
+/**
+ * @typedef {object} GlossaryViolation
+ * @property {number} chunk_index Index of the chunk the term was found in.
+ * @property {string} source Term found in the source chunk.
+ * @property {string} expected Text missing from the translation of the chunk.
+ */
+
+/**
+ * Normalize the glossary forms accepted by translate() into a Glossary.
+ *
+ * Accepts a Glossary, a plain object or Map from source term to target term, or
+ * {terms, do_not_translate} where terms is one of the latter.
+ * @param {Glossary|Object<string, string>|Map<string, string>|{terms: Object<string, string>|Map<string, string>, do_not_translate: string[]}|null} glossary
+ * @return {Glossary|null}
+ */
+export function normalize_glossary(glossary) {
+    if (!glossary) {
+        return null
+    }
+    if (Array.isArray(glossary.entries)) {
+        return {entries: glossary.entries, do_not_translate: glossary.do_not_translate ?? []}
+    }
+    let terms = glossary
+    let do_not_translate = []
+    if (!(glossary instanceof Map) && ('terms' in glossary || 'do_not_translate' in glossary)) {
+        terms = glossary.terms ?? {}
+        do_not_translate = glossary.do_not_translate ?? []
+    }
+    const pairs = terms instanceof Map ? [...terms.entries()] : Object.entries(terms)
+    const entries = pairs.map(([source, target]) => ({source, target}))
+    return {entries, do_not_translate: [...do_not_translate]}
+}
+
+/**
+ * Whether a glossary option gives a glossary per target language keyed on the language,
+ * e.g. {German: glossary, French: glossary}, rather than the terms of a single glossary.
+ * @param {*} glossary
+ * @return {boolean}
+ */
+export function is_glossary_by_language(glossary) {
+    if (!glossary || typeof glossary !== 'object' || Array.isArray(glossary.entries)) {
+        return false
+    }
+    if (!(glossary instanceof Map) && ('terms' in glossary || 'do_not_translate' in glossary)) {
+        return false
+    }
+    // the values of a single glossary are target terms
+    const values = glossary instanceof Map ? [...glossary.values()] : Object.values(glossary)
+    return values.length > 0 && values.every(value => value === null || typeof value === 'object')
+}
+
+/**
+ * Glossary of a target language, the glossary option itself unless it gives one per target language.
+ * @param {*} glossary
+ * @param {string} target_lang
+ * @return {*} null when a glossary per target language has none for this one.
+ */
+export function glossary_for_language(glossary, target_lang) {
+    if (!is_glossary_by_language(glossary)) {
+        return glossary
+    }
+    return (glossary instanceof Map ? glossary.get(target_lang) : glossary[target_lang]) ?? null
+}
+
+/**
+ * Parse a glossary file.
+ *
+ * CSV and TSV rows are "source,target", a header row naming the columns is skipped.
+ * Rows without a target, or whose target equals the source, are do-not-translate terms.
+ * @param {string} content
+ * @param {'csv'|'tsv'|'tbx'} format
+ * @param {{source_lang_code?: string, target_lang_code?: string}} options Language codes used to pick TBX lang sets.
+ * @return {Glossary}
+ */
+export function parse_glossary(content, format, options = {}) {
+    let pairs
+    switch (format) {
+        case 'csv':
+            pairs = parse_delimited(content, ',')
+            break
+        case 'tsv':
+            pairs = parse_delimited(content, '\t')
+            break
+        case 'tbx':
+            pairs = parse_tbx(content, options.source_lang_code, options.target_lang_code)
+            break
+        default:
+            throw new Error(`unsupported glossary format: ${format}`)
+    }
+    const glossary = {entries: [], do_not_translate: []}
+    for (const [source, target] of pairs) {
+        if (!source) {
+            continue
+        }
+        if (!target || target === source) {
+            glossary.do_not_translate.push(source)
+        } else {
+            glossary.entries.push({source, target})
+        }
+    }
+    return glossary
+}
+
+/**
+ * Load a glossary from a .csv, .tsv or .tbx file.
+ * @param {string} path
+ * @param {{source_lang_code?: string, target_lang_code?: string}} options Language codes used to pick TBX lang sets.
+ * @return {Promise<Glossary>}
+ */
+export async function load_glossary(path, options = {}) {
+    const format = extname(path).slice(1).toLowerCase()
+    const content = await readFile(path, 'utf8')
+    return parse_glossary(content, format, options)
+}
+
+/**
+ * Return the entries whose source term occurs in the text, do-not-translate terms as entries mapping to themselves.
+ * @param {Glossary|null} glossary
+ * @param {string} text
+ * @return {GlossaryEntry[]}
+ */
+export function find_glossary_entries(glossary, text) {
+    if (!glossary) {
+        return []
+    }
+    const entries = [
+        ...glossary.entries,
+        ...glossary.do_not_translate.map(term => ({source: term, target: term}))
+    ]
+    return entries.filter(entry => term_pattern(entry.source).test(text))
+}
+
+/**
+ * Build the glossary instruction for a prompt, "" when no term of the glossary occurs in the source text.
+ * @param {Glossary|null} glossary
+ * @param {string} source_text
+ * @return {string}
+ */
+export function glossary_instruction(glossary, source_text) {
+    const entries = find_glossary_entries(glossary, source_text)
+    if (entries.length === 0) {
+        return ""
+    }
+    const terms = entries.filter(entry => entry.source !== entry.target)
+    const kept = entries.filter(entry => entry.source === entry.target)
+    let instruction = `
+
+The translation must follow this glossary.`
+    if (terms.length > 0) {
+        instruction += ` Always translate each term on the left of "=>" as the term on its right:
+<GLOSSARY>
+${terms.map(entry => `${entry.source} => ${entry.target}`).join("\n")}
+</GLOSSARY>`
+    }
+    if (kept.length > 0) {
+        instruction += `
+Keep these terms exactly as they are, without translating them:
+<DO_NOT_TRANSLATE>
+${kept.map(entry => entry.source).join("\n")}
+</DO_NOT_TRANSLATE>`
+    }
+    return instruction
+}
+
+/**
+ * Version of a glossary for the translation memory scope, a hash of its terms, "" without a glossary.
+ * @param {Glossary|null} glossary
+ * @return {string}
+ */
+export function glossary_version(glossary) {
+    if (!glossary || (glossary.entries.length === 0 && glossary.do_not_translate.length === 0)) {
+        return ""
+    }
+    const terms = [
+        ...glossary.entries.map(entry => `${entry.source}\t${entry.target}`),
+        ...glossary.do_not_translate,
+    ].sort()
+    return createHash('sha256').update(terms.join("\n")).digest('hex').slice(0, 12)
+}
+
+/**
+ * Report every glossary term found in a source chunk whose translation does not contain the required target term.
+ * @param {Glossary|null} glossary
+ * @param {string[]} source_text_chunks
+ * @param {string[]} translation_chunks
+ * @return {GlossaryViolation[]}
+ */
+export function check_glossary(glossary, source_text_chunks, translation_chunks) {
+    const violations = []
+    source_text_chunks.forEach((chunk, chunk_index) => {
+        const translation = (translation_chunks[chunk_index] ?? "").toLowerCase()
+        for (const entry of find_glossary_entries(glossary, chunk)) {
+            if (!translation.includes(entry.target.toLowerCase())) {
+                violations.push({chunk_index, source: entry.source, expected: entry.target})
+            }
+        }
+    })
+    return violations
+}
+
+/**
+ * Case-insensitive pattern matching the term as a whole word where the term starts or ends with a letter
+ * of a script that separates words with spaces.
+ * @param {string} term
+ * @return {RegExp}
+ */
+function term_pattern(term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    const spaced = /[\p{Script=Latin}\p{Script=Cyrillic}\p{Script=Greek}\p{N}]/u
+    const before = spaced.test(term[0]) ? '(?<![\\p{L}\\p{N}])' : ''
+    const after = spaced.test(term[term.length - 1]) ? '(?![\\p{L}\\p{N}])' : ''
+    return new RegExp(before + escaped + after, 'iu')
+}
+
+/**
+ * Parse delimiter separated rows with double-quoted fields, returning [source, target] pairs.
+ * @param {string} content
+ * @param {string} delimiter
+ * @return {[string, string][]}
+ */
+function parse_delimited(content, delimiter) {
+    const rows = []
+    let row = []
+    let field = ""
+    let quoted = false
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i]
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"'
+                i++
+            } else if (char === '"') {
+                quoted = false
+            } else {
+                field += char
+            }
+        } else if (char === '"' && field === "") {
+            quoted = true
+        } else if (char === delimiter) {
+            row.push(field)
+            field = ""
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') {
+                i++
+            }
+            row.push(field)
+            rows.push(row)
+            row = []
+            field = ""
+        } else {
+            field += char
+        }
+    }
+    if (field !== "" || row.length > 0) {
+        row.push(field)
+        rows.push(row)
+    }
+    const pairs = rows
+        .map(columns => [(columns[0] ?? "").trim(), (columns[1] ?? "").trim()])
+        .filter(([source]) => source !== "")
+    if (pairs.length > 0 && /^(source|term|src)/i.test(pairs[0][0]) && /^(target|translation|tgt|)$/i.test(pairs[0][1])) {
+        pairs.shift()
+    }
+    return pairs
+}
+
+/**
+ * Parse the term entries of a TBX (v2 termEntry or v3 conceptEntry) file into [source, target] pairs.
+ *
+ * Without language codes the first lang set of an entry is the source and the second one the target.
+ * Entries without a lang set for a given language code are skipped.
+ * @param {string} content
+ * @param {string} [source_lang_code]
+ * @param {string} [target_lang_code]
+ * @return {[string, string][]}
+ */
+function parse_tbx(content, source_lang_code, target_lang_code) {
+    const pairs = []
+    const entry_pattern = /<(termEntry|conceptEntry)\b[^>]*>([\s\S]*?)<\/\1>/g
+    // TBX v3 names the lang sets langSec
+    const lang_set_pattern = /<(langSet|langSec)\b[^>]*xml:lang="([^"]*)"[^>]*>([\s\S]*?)<\/\1>/g
+    for (const [, , entry] of content.matchAll(entry_pattern)) {
+        const lang_sets = []
+        for (const [, , lang, body] of entry.matchAll(lang_set_pattern)) {
+            const term = body.match(/<term\b[^>]*>([\s\S]*?)<\/term>/)
+            if (term) {
+                lang_sets.push({lang: lang.toLowerCase(), term: decode_xml(term[1].trim())})
+            }
+        }
+        const find = (code, fallback) => code
+            ? lang_sets.find(set => set.lang === code.toLowerCase() || set.lang.startsWith(code.toLowerCase() + '-'))
+            : lang_sets[fallback]
+        const source = find(source_lang_code, 0)
+        const target = find(target_lang_code, 1)
+        // an entry lacking the target language says nothing about its translation
+        if (!source || (target_lang_code && !target)) {
+            continue
+        }
+        pairs.push([source.term, target?.term ?? ""])
+    }
+    return pairs
+}
@@ -0,0 +1,152 @@
+/**
+ * Price of the tokens of a model, to estimate the cost of a run.
+ * @typedef {object} Pricing
+ * @property {number} prompt Price of a million prompt tokens.
+ * @property {number} completion Price of a million completion tokens.
+ */
+
+/**
+ * What a stopped translate() call had completed.
+ * @typedef {object} PartialTranslation
+ * @property {Object<string, any>} translations What translate() would have returned for each target language
+ *     completed before the run stopped, keyed on the language.
+ * @property {string|null} target_lang Target language being translated when the run stopped, null when it stopped
+ *     before the first one started.
+ * @property {import("./translator.js").ChunkDetails[]} chunks Chunks of that target language, with their drafts
+ *     and reflections so far, final being "" for the chunks that were not finished.
+ * @property {Object<string, import("./glossary.js").GlossaryViolation[]>} glossary_violations Glossary violations of
+ *     each target language started, keyed on the language, the finished chunks only for the one being translated.
+ * @property {import("./translator.js").TokenUsage} usage Token usage of the whole call.
+ */
+
+/**
+ * Thrown when a translation stops before it completes, because its signal was aborted, it ran out of time
+ * or it reached its token or cost limit.
+ */
+export class TranslationStoppedError extends Error {
+    /**
+     * @param {'aborted'|'timeout'|'call_timeout'|'budget'} reason
+     * @param {string} message
+     */
+    constructor(reason, message) {
+        super(message)
+        this.name = 'TranslationStoppedError'
+        this.reason = reason
+        /**
+         * Set by translate() before the error reaches the caller.
+         * @type {PartialTranslation|null}
+         */
+        this.partial = null
+    }
+}
+
+/**
+ * Cancellation, timeouts and budget of a translation run, shared by every model call of the run.
+ */
+export class RunLimits {
+    /**
+     * @param {object} options
+     * @param {AbortSignal|null} [options.signal] Stops the run when aborted.
+     * @param {number|null} [options.timeout_ms] Time the whole run may take.
+     * @param {number|null} [options.call_timeout_ms] Time a single model call may take.
+     * @param {number|null} [options.max_total_tokens] Tokens the run may use, as reported by the models.
+     * @param {number|null} [options.max_cost] Estimated cost the run may reach, priced with pricing.
+     * @param {Pricing|null} [options.pricing]
+     */
+    constructor(options = {}) {
+        const {signal = null, timeout_ms = null, call_timeout_ms = null, max_total_tokens = null, max_cost = null, pricing = null} = options
+        this.user_signal = signal
+        this.timeout_ms = timeout_ms
+        this.timeout_signal = timeout_ms ? AbortSignal.timeout(timeout_ms) : null
+        this.call_timeout_ms = call_timeout_ms
+        this.max_total_tokens = max_total_tokens
+        this.max_cost = max_cost
+        this.pricing = pricing
+        this.total_tokens = 0
+        this.cost = 0
+        const signals = [signal, this.timeout_signal].filter(Boolean)
+        /** Aborted when the run has to stop, given to every model call. */
+        this.signal = signals.length > 0 ? AbortSignal.any(signals) : new AbortController().signal
+    }
+
+    /**
+     * Throw a TranslationStoppedError if the run was aborted, ran out of time or reached its budget.
+     */
+    check() {
+        if (this.signal.aborted) {
+            throw this.stop_error()
+        }
+        if (this.max_total_tokens !== null && this.total_tokens >= this.max_total_tokens) {
+            throw new TranslationStoppedError('budget', `token limit reached: ${this.total_tokens} of ${this.max_total_tokens} tokens used`)
+        }
+        if (this.max_cost !== null && this.cost >= this.max_cost) {
+            throw new TranslationStoppedError('budget', `cost limit reached: ${this.cost.toFixed(4)} of ${this.max_cost}`)
+        }
+    }
+
+    /**
+     * Add the usage of a model call to the budget.
+     * @param {{prompt_tokens: number, completion_tokens: number, total_tokens: number}} usage
+     */
+    record(usage) {
+        this.total_tokens += usage.total_tokens
+        if (this.pricing) {
+            this.cost += (usage.prompt_tokens * this.pricing.prompt + usage.completion_tokens * this.pricing.completion) / 1e6
+        }
+    }
+
+    /**
+     * Make a model call once the limits are checked, stopping it when the run is aborted or the call times out.
+     *
+     * The call is given the signal to abort its request, and is not waited for when it ignores it.
+     * @template R
+     * @param {function(AbortSignal): Promise<R>} fn
+     * @return {Promise<R>}
+     */
+    async call(fn) {
+        this.check()
+        const signal = this.call_timeout_ms
+            ? AbortSignal.any([this.signal, AbortSignal.timeout(this.call_timeout_ms)])
+            : this.signal
+        try {
+            return await race_with_signal(fn(signal), signal)
+        } catch (e) {
+            if (this.signal.aborted) {
+                throw this.stop_error()
+            }
+            if (signal.aborted) {
+                throw new TranslationStoppedError('call_timeout', `a model call took more than ${this.call_timeout_ms} ms`)
+            }
+            throw e
+        }
+    }
+
+    /**
+     * @return {TranslationStoppedError} Error of an aborted signal.
+     */
+    stop_error() {
+        if (this.timeout_signal?.aborted && !this.user_signal?.aborted) {
+            return new TranslationStoppedError('timeout', `translation took more than ${this.timeout_ms} ms`)
+        }
+        return new TranslationStoppedError('aborted', `translation aborted`)
+    }
+}
+
+/**
+ * Settle like the promise, or reject as soon as the signal is aborted.
+ * @template R
+ * @param {Promise<R>} promise
+ * @param {AbortSignal} signal
+ * @return {Promise<R>}
+ */
+function race_with_signal(promise, signal) {
+    if (signal.aborted) {
+        promise.catch(() => {})
+        return Promise.reject(signal.reason)
+    }
+    return new Promise((resolve, reject) => {
+        const abort = () => reject(signal.reason)
+        signal.addEventListener('abort', abort, {once: true})
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort))
+    })
+}
@@ -0,0 +1,344 @@
+import {createHash} from "node:crypto";
+import {mkdir, readFile, rename, writeFile} from "node:fs/promises";
+import {dirname} from "node:path";
+import {split_paragraphs} from "./chunker.js";
+
+export const DEFAULT_MIN_SIMILARITY = 0.75
+export const DEFAULT_MAX_REFERENCES = 3
+
+/**
+ * A translation stored in the memory.
+ * @typedef {object} MemoryEntry
+ * @property {string} scope Language pair, country and model/prompt version the translation was made for.
+ * @property {string} source Normalized source segment.
+ * @property {string} translation
+ * @property {number} updated_at Time of the last update, in milliseconds since the epoch.
+ */
+
+/**
+ * A translation of a similar segment, given to the prompts as a reference.
+ * @typedef {object} ReferenceTranslation
+ * @property {string} source
+ * @property {string} translation
+ * @property {number} similarity Between 0 and 1.
+ */
+
+/**
+ * Where a TranslationMemory keeps its entries, implement these three methods to add a backend.
+ * @typedef {object} MemoryStore
+ * @property {function(string): Promise<MemoryEntry|undefined>} get Entry of a key.
+ * @property {function(string, MemoryEntry): Promise<void>} set Add or replace the entry of a key.
+ * @property {function(string): Promise<MemoryEntry[]>} search Every entry of a scope.
+ */
+
+/**
+ * Lookup parameters shared by every segment of a translation.
+ * @typedef {object} MemoryScope
+ * @property {string} source_lang
+ * @property {string} target_lang
+ * @property {string} country
+ * @property {string} version Names of the models and version of the prompts.
+ */
+
+/**
+ * Normalize a source segment for lookups: Unicode NFC, whitespace runs collapsed to one space, trimmed.
+ * @param {string} text
+ * @return {string}
+ */
+export function normalize_segment(text) {
+    return text.normalize('NFC').replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Reuse earlier translations of the same segments and point the model to translations of similar ones.
+ *
+ * Segments are matched exactly after normalize_segment(), within the same language pair, country and
+ * model/prompt version. Fuzzy matches are scored by character trigram similarity.
+ */
+export class TranslationMemory {
+    /**
+     * @param {object} options
+     * @param {MemoryStore} [options.store] Storage of the entries, in memory by default.
+     * @param {number} [options.min_similarity] Minimum similarity of a fuzzy match, 1 disables fuzzy matching.
+     * @param {number} [options.max_references] Maximum number of fuzzy matches given to the prompts of a segment.
+     * @param {string} [options.version] Added to the model/prompt version, change it to stop reusing older translations.
+     */
+    constructor(options = {}) {
+        this.store = options.store ?? new InMemoryStore()
+        this.min_similarity = options.min_similarity ?? DEFAULT_MIN_SIMILARITY
+        this.max_references = options.max_references ?? DEFAULT_MAX_REFERENCES
+        this.version = options.version ?? ""
+    }
+
+    /**
+     * Look the segments up, returning for each one its stored translation or its fuzzy matches.
+     * @param {string[]} segments
+     * @param {MemoryScope} scope
+     * @return {Promise<{translation: string|undefined, references: ReferenceTranslation[]}[]>}
+     */
+    async lookup(segments, scope) {
+        const scope_key = this.scope_key(scope)
+        const exact = await Promise.all(segments.map(segment => this.store.get(entry_key(scope_key, segment))))
+        const candidates = this.min_similarity < 1 && exact.some(entry => !entry)
+            ? (await this.store.search(scope_key)).map(entry => ({entry, trigrams: trigrams(entry.source)}))
+            : []
+        return segments.map((segment, i) => {
+            if (exact[i]) {
+                return {translation: exact[i].translation, references: []}
+            }
+            const segment_trigrams = trigrams(normalize_segment(segment))
+            const references = candidates
+                .map(({entry, trigrams}) => ({
+                    source: entry.source,
+                    translation: entry.translation,
+                    similarity: dice(segment_trigrams, trigrams),
+                }))
+                .filter(reference => reference.similarity >= this.min_similarity)
+                .sort((a, b) => b.similarity - a.similarity)
+                .slice(0, this.max_references)
+            return {translation: undefined, references}
+        })
+    }
+
+    /**
+     * Store the translation of a segment.
+     *
+     * When the segment and its translation have the same number of paragraphs, the paragraphs are stored on their own
+     * too, to be reused when the chunks around them change.
+     * @param {string} segment
+     * @param {string} translation
+     * @param {MemoryScope} scope
+     * @return {Promise<void>}
+     */
+    async record(segment, translation, scope) {
+        const scope_key = this.scope_key(scope)
+        const entries = [[segment, translation]]
+        const paragraphs = split_paragraphs(segment)
+        const translated_paragraphs = split_paragraphs(translation)
+        if (paragraphs.length > 1 && paragraphs.length === translated_paragraphs.length) {
+            paragraphs.forEach(([start, end], i) => {
+                const [translated_start, translated_end] = translated_paragraphs[i]
+                entries.push([segment.slice(start, end), translation.slice(translated_start, translated_end)])
+            })
+        }
+        for (const [source, translated] of entries) {
+            await this.store.set(entry_key(scope_key, source), {
+                scope: scope_key,
+                source: normalize_segment(source),
+                translation: translated,
+                updated_at: Date.now(),
+            })
+        }
+    }
+
+    /**
+     * @param {MemoryScope} scope
+     * @return {string}
+     */
+    scope_key(scope) {
+        const version = this.version ? `${scope.version}+${this.version}` : scope.version
+        return JSON.stringify([scope.source_lang, scope.target_lang, scope.country || "", version])
+    }
+}
+
+/**
+ * Keep the entries in a Map, for the lifetime of the process.
+ */
+export class InMemoryStore {
+    constructor() {
+        /** @type {Map<string, MemoryEntry>} */
+        this.entries = new Map()
+    }
+
+    async get(key) {
+        return this.entries.get(key)
+    }
+
+    async set(key, entry) {
+        this.entries.set(key, entry)
+    }
+
+    async search(scope) {
+        return [...this.entries.values()].filter(entry => entry.scope === scope)
+    }
+}
+
+/**
+ * Keep the entries in a JSON file, read on first use and rewritten after every change.
+ */
+export class FileStore extends InMemoryStore {
+    /**
+     * @param {string} path Created with its directory on the first write when it does not exist.
+     */
+    constructor(path) {
+        super()
+        this.path = path
+        this.loading = null
+        this.writing = Promise.resolve()
+    }
+
+    async get(key) {
+        await this.load()
+        return super.get(key)
+    }
+
+    async set(key, entry) {
+        await this.load()
+        await super.set(key, entry)
+        // writes are chained so that a slower write never overwrites a newer one, a failed write being
+        // reported to its caller only, as the next one rewrites every entry
+        const writing = this.writing.then(() => this.write())
+        this.writing = writing.catch(() => {})
+        return writing
+    }
+
+    async search(scope) {
+        await this.load()
+        return super.search(scope)
+    }
+
+    load() {
+        if (!this.loading) {
+            this.loading = readFile(this.path, 'utf8').then(
+                content => {
+                    for (const [key, entry] of Object.entries(JSON.parse(content).entries ?? {})) {
+                        this.entries.set(key, entry)
+                    }
+                },
+                error => {
+                    if (error.code !== 'ENOENT') {
+                        throw error
+                    }
+                })
+        }
+        return this.loading
+    }
+
+    async write() {
+        await mkdir(dirname(this.path), {recursive: true})
+        const temporary_path = `${this.path}.tmp`
+        await writeFile(temporary_path, JSON.stringify({entries: Object.fromEntries(this.entries)}, null, 1))
+        await rename(temporary_path, this.path)
+    }
+}
+
+/**
+ * Keep the entries in a SQLite database.
+ *
+ * Given a path, the database is opened with node:sqlite, available from Node.js 22.5. A database opened
+ * with another driver exposing the same prepare()/exec() API, such as better-sqlite3, may be given instead.
+ */
+export class SqliteStore {
+    /**
+     * @param {string|object} database Path of the database file, or an open database.
+     * @param {string} table
+     */
+    constructor(database, table = 'translation_memory') {
+        if (!/^\w+$/.test(table)) {
+            throw new Error(`invalid table name: ${table}`)
+        }
+        this.database = database
+        this.table = table
+        this.opening = null
+    }
+
+    async get(key) {
+        const database = await this.open()
+        const row = database.prepare(`SELECT scope, source, translation, updated_at FROM ${this.table} WHERE key = ?`).get(key)
+        return row ? {...row} : undefined
+    }
+
+    async set(key, entry) {
+        const database = await this.open()
+        database.prepare(`INSERT OR REPLACE INTO ${this.table} (key, scope, source, translation, updated_at) VALUES (?, ?, ?, ?, ?)`)
+            .run(key, entry.scope, entry.source, entry.translation, entry.updated_at)
+    }
+
+    async search(scope) {
+        const database = await this.open()
+        return database.prepare(`SELECT scope, source, translation, updated_at FROM ${this.table} WHERE scope = ?`)
+            .all(scope)
+            .map(row => ({...row}))
+    }
+
+    open() {
+        if (!this.opening) {
+            this.opening = (async () => {
+                let database = this.database
+                if (typeof database === 'string') {
+                    const {DatabaseSync} = await import('node:sqlite')
+                    await mkdir(dirname(database), {recursive: true})
+                    database = new DatabaseSync(database)
+                }
+                database.exec(`CREATE TABLE IF NOT EXISTS ${this.table} (
+    key TEXT PRIMARY KEY,
+    scope TEXT NOT NULL,
+    source TEXT NOT NULL,
+    translation TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+)`)
+                database.exec(`CREATE INDEX IF NOT EXISTS ${this.table}_scope ON ${this.table} (scope)`)
+                return database
+            })()
+        }
+        return this.opening
+    }
+}
+
+/**
+ * Instruction giving the model the translations of similar segments, "" without any.
+ * @param {ReferenceTranslation[]|undefined} references
+ * @return {string}
+ */
+export function reference_instruction(references) {
+    if (!references || references.length === 0) {
+        return ""
+    }
+    return `
+
+Translations of similar texts are given below for reference, between <REFERENCE> and </REFERENCE>.
+Reuse their wording where the text is the same, but translate what differs.
+${references.map(reference => `<REFERENCE>
+${reference.source}
+=>
+${reference.translation}
+</REFERENCE>`).join("\n")}`
+}
+
+function entry_key(scope_key, segment) {
+    return createHash('sha256').update(scope_key).update("\n").update(normalize_segment(segment)).digest('hex')
+}
+
+/**
+ * Character trigrams of the lower-cased text, counted.
+ * @param {string} text
+ * @return {Map<string, number>}
+ */
+function trigrams(text) {
+    const characters = Array.from(` ${text.toLowerCase()} `)
+    const counts = new Map()
+    for (let i = 0; i + 3 <= characters.length; i++) {
+        const trigram = characters.slice(i, i + 3).join("")
+        counts.set(trigram, (counts.get(trigram) ?? 0) + 1)
+    }
+    return counts
+}
+
+/**
+ * Dice coefficient of two trigram counts.
+ * @param {Map<string, number>} a
+ * @param {Map<string, number>} b
+ * @return {number}
+ */
+function dice(a, b) {
+    let shared = 0
+    let total = 0
+    for (const [trigram, count] of a) {
+        shared += Math.min(count, b.get(trigram) ?? 0)
+        total += count
+    }
+    for (const count of b.values()) {
+        total += count
+    }
+    return total === 0 ? 0 : 2 * shared / total
+}
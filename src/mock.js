@@ -0,0 +1,203 @@
+import {BaseChatModel} from "@langchain/core/language_models/chat_models";
+import {AIMessage} from "@langchain/core/messages";
+import {detect_language} from "./detect.js";
+
+/**
+ * A prompt received by the mock model.
+ * @typedef {object} PromptCall
+ * @property {'initial'|'reflect'|'improve'|'validate'|'detect'|string} stage Stage of the prompt, as told by classify.
+ * @property {string} system System message.
+ * @property {string} user User message.
+ * @property {string} text Text the prompt is about: the chunk between the last <TRANSLATE_THIS> tags, the source text
+ *     of one chunk prompts, or the text of the detect_language prompt.
+ * @property {string|null} source_lang Source language named in the system message.
+ * @property {string|null} target_lang Target language named in the system message.
+ */
+
+/**
+ * Response of a stage: a text, a list of texts answered in turn, the rule taking over once they are used up,
+ * a function of the prompt, or an Error thrown by the call.
+ * @typedef {string|Error|(string|Error)[]|function(PromptCall): (string|Promise<string>)} MockResponse
+ */
+
+/**
+ * A chat model answering from scripts and rules instead of an API, to test translations without network access.
+ *
+ * Each prompt is classified into its pipeline stage and answered with the response scripted for the stage,
+ * or by rule: initial and improve prompts get the text translated by the translate option, reflect prompts
+ * a fixed suggestion, validate prompts NO_ERRORS and detect prompts the language found by detect_language().
+ * Every prompt is recorded in calls, and token usage is reported at about four characters per token.
+ */
+export class MockChatModel extends BaseChatModel {
+    /**
+     * @param {object} options
+     * @param {Object<string, MockResponse>} [options.responses] Scripted responses keyed on the stage,
+     *     e.g. {reflect: ["Use the formal register.", "NO_ISSUES"]}.
+     * @param {function(string, PromptCall): string} [options.translate] Rule translating the text of initial and
+     *     improve prompts, pseudo_translate() by default.
+     * @param {function(string, string): string} [options.classify] Stage of a prompt from its system and user
+     *     messages, prompt_stage() by default, to override along with custom prompt templates.
+     * @param {number} [options.delay_ms] Time every call takes, aborted by the signal of the call.
+     */
+    constructor(options = {}) {
+        super({})
+        this.responses = options.responses ?? {}
+        this.translate = options.translate ?? pseudo_translate
+        this.classify = options.classify ?? prompt_stage
+        this.delay_ms = options.delay_ms ?? 0
+        /** @type {PromptCall[]} */
+        this.calls = []
+        this.positions = new Map()
+    }
+
+    _llmType() {
+        return 'mock'
+    }
+
+    /**
+     * Prompts received for a stage, or every prompt without one.
+     * @param {string} [stage]
+     * @return {PromptCall[]}
+     */
+    prompts(stage) {
+        return stage === undefined ? this.calls : this.calls.filter(call => call.stage === stage)
+    }
+
+    /**
+     * Forget the prompts received and start the scripted responses over.
+     */
+    reset() {
+        this.calls = []
+        this.positions.clear()
+    }
+
+    async _generate(messages, options) {
+        const system = messages.filter(message => message.getType() === 'system').map(message => message.content).join("\n")
+        const user = messages.filter(message => message.getType() !== 'system').map(message => message.content).join("\n")
+        const languages = system.match(/from (.+?) to (.+?)\./)
+        const call = {
+            stage: this.classify(system, user),
+            system,
+            user,
+            text: prompt_text(user, languages?.[1]),
+            source_lang: languages?.[1] ?? null,
+            target_lang: languages?.[2] ?? null,
+        }
+        this.calls.push(call)
+        if (this.delay_ms > 0) {
+            await abortable_delay(this.delay_ms, options?.signal)
+        }
+        const response = await this.respond(call)
+        if (response instanceof Error) {
+            throw response
+        }
+        const usage = {
+            input_tokens: Math.ceil((system.length + user.length) / 4),
+            output_tokens: Math.ceil(response.length / 4),
+        }
+        usage.total_tokens = usage.input_tokens + usage.output_tokens
+        return {generations: [{text: response, message: new AIMessage({content: response, usage_metadata: usage})}]}
+    }
+
+    /**
+     * @param {PromptCall} call
+     * @return {Promise<string|Error>}
+     */
+    async respond(call) {
+        const scripted = this.responses[call.stage]
+        if (typeof scripted === 'function') {
+            return scripted(call)
+        }
+        if (Array.isArray(scripted)) {
+            const position = this.positions.get(call.stage) ?? 0
+            this.positions.set(call.stage, position + 1)
+            if (position < scripted.length) {
+                return scripted[position]
+            }
+        } else if (scripted !== undefined) {
+            return scripted
+        }
+        switch (call.stage) {
+            case 'reflect':
+                return "The translation is accurate, consider a more natural word order."
+            case 'validate':
+                return "NO_ERRORS"
+            case 'detect':
+                return detect_language(call.text).language ?? "English"
+            default:
+                return this.translate(call.text, call)
+        }
+    }
+}
+
+/**
+ * Stage of a prompt rendered from the default templates: validate for quality_score, detect for detect_language,
+ * improve for prompts with expert suggestions, reflect for the ones asking for suggestions, initial otherwise.
+ * @param {string} system
+ * @param {string} user
+ * @return {string}
+ */
+export function prompt_stage(system, user) {
+    if (/quality evaluation/.test(system)) {
+        return 'validate'
+    }
+    if (/<TEXT>/.test(user) && /Which language/.test(user)) {
+        return 'detect'
+    }
+    if (/<EXPERT_SUGGESTIONS>/.test(user)) {
+        return 'improve'
+    }
+    if (/constructive critici/.test(user)) {
+        return 'reflect'
+    }
+    return 'initial'
+}
+
+/**
+ * Deterministic stand-in for a translation: the letters of every word reversed, markup tags, placeholders,
+ * numbers and URLs kept as they are, so that the translation passes validation for Latin script targets.
+ * @param {string} text
+ * @return {string}
+ */
+export function pseudo_translate(text) {
+    return text.replace(/<[^>]*>|\{[^}]*\}|https?:\/\/\S+|(\p{L}+)/gu, (match, word) => word ? Array.from(word).reverse().join("") : match)
+}
+
+/**
+ * Text a prompt is about, "" when it has none.
+ * @param {string} user
+ * @param {string|undefined} source_lang
+ * @return {string}
+ */
+function prompt_text(user, source_lang) {
+    const tagged = [...user.matchAll(/<TRANSLATE_THIS>\n([\s\S]*?)\n<\/TRANSLATE_THIS>/g)].pop()
+    if (tagged) {
+        return tagged[1]
+    }
+    const source = user.match(/<(SOURCE_TEXT|TEXT)>\n([\s\S]*?)\n<\/\1>/)
+    if (source) {
+        return source[2]
+    }
+    // one chunk initial prompts end with "{source_lang}: {source_text}\n\n{target_lang}:"
+    const start = source_lang ? user.indexOf(`\n${source_lang}: `) : -1
+    const one_chunk = start < 0 ? null : user.slice(start).match(/^\n[^\n]*?: ([\s\S]*)\n\n[^\n]+:\s*$/)
+    return one_chunk ? one_chunk[1] : ""
+}
+
+function abortable_delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason)
+            return
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', abort)
+            resolve()
+        }, ms)
+        function abort() {
+            clearTimeout(timer)
+            reject(signal.reason)
+        }
+        signal?.addEventListener('abort', abort, {once: true})
+    })
+}
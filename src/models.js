@@ -0,0 +1,142 @@
+import {BaseChatModel} from "@langchain/core/language_models/chat_models";
+import {DEFAULT_ENCODING_NAME, MAX_TOKEN_PER_CHUNK} from "./tokens.js";
+
+export const DEFAULT_MODEL = 'openai:gpt-4o'
+
+/** Pipeline stages that can each be given their own model. */
+export const MODEL_STAGES = ['initial', 'reflect', 'improve', 'validate']
+
+/** Default base URL of the local OpenAI-compatible servers that can be named as providers. */
+const LOCAL_SERVERS = {
+    ollama: 'http://localhost:11434/v1',
+    vllm: 'http://localhost:8000/v1',
+    llamacpp: 'http://localhost:8080/v1',
+}
+
+/**
+ * Chunk budget of models served from an OpenAI-compatible base URL, usually smaller models with
+ * a short context window, which has to hold the chunk, its context and the prompt.
+ */
+const LOCAL_MAX_TOKENS = 500
+
+/**
+ * A model described by its provider and name.
+ *
+ * Properties other than the ones below are passed to the LangChain chat model constructor, e.g. temperature.
+ * @typedef {object} ModelConfig
+ * @property {string} [provider] openai, anthropic, ollama, vllm, llamacpp or another provider of LangChain's
+ *     initChatModel(), such as google-genai, mistralai or groq. Inferred from the model name when missing.
+ * @property {string} model Model name.
+ * @property {string} [base_url] Base URL of an OpenAI-compatible server, e.g. http://localhost:8000/v1.
+ * @property {string} [api_key] Defaults to the API key environment variable of the provider.
+ * @property {string} [encoding_name] Tiktoken encoding used to count tokens, chosen from the model name by default.
+ * @property {number} [max_tokens] Default chunk budget for this model.
+ */
+
+/**
+ * A chat model instance, a ModelConfig, or a "provider:model" string such as "anthropic:claude-3-5-sonnet-latest"
+ * or "ollama:llama3.1", the provider being inferred from the name when omitted, e.g. "gpt-4o-mini".
+ * @typedef {BaseChatModel|ModelConfig|string} ModelSpec
+ */
+
+/**
+ * Parse a model spec into a ModelConfig, null for a chat model instance.
+ * @param {ModelSpec} spec
+ * @return {ModelConfig|null}
+ */
+export function parse_model_spec(spec) {
+    if (spec instanceof BaseChatModel) {
+        return null
+    }
+    if (typeof spec === 'string') {
+        const match = spec.match(/^([a-z][a-z_-]*):(.+)$/)
+        return match ? {provider: match[1], model: match[2]} : {model: spec}
+    }
+    if (!spec || typeof spec.model !== 'string') {
+        throw new Error(`a model config needs a model name, got ${JSON.stringify(spec)}`)
+    }
+    return spec
+}
+
+/**
+ * Create the chat model of a spec, model instances are returned as they are.
+ *
+ * OpenAI and OpenAI-compatible servers use ChatOpenAI, other providers go through LangChain's initChatModel(),
+ * which needs the provider package to be installed, e.g. @langchain/anthropic.
+ * @param {ModelSpec} spec
+ * @return {Promise<BaseChatModel>}
+ */
+export async function create_model(spec) {
+    const config = parse_model_spec(spec)
+    if (config === null) {
+        return spec
+    }
+    const {provider = infer_provider(config.model), model, base_url, api_key, ...fields} = config
+    // encoding_name and max_tokens configure the chunking, not the model
+    delete fields.encoding_name
+    delete fields.max_tokens
+    if (provider === 'openai' || provider in LOCAL_SERVERS) {
+        const {ChatOpenAI} = await import("@langchain/openai")
+        const url = base_url ?? LOCAL_SERVERS[provider]
+        return new ChatOpenAI({
+            model,
+            // local servers ignore the key, but the client refuses to start without one
+            apiKey: api_key ?? process.env.OPENAI_API_KEY ?? (url ? 'not-needed' : undefined),
+            ...(url ? {configuration: {baseURL: url}} : {}),
+            ...fields,
+        })
+    }
+    if (base_url !== undefined) {
+        throw new Error(`base_url is only supported for OpenAI-compatible servers, not for ${provider}`)
+    }
+    const {initChatModel} = await import("langchain/chat_models/universal")
+    return initChatModel(model, {
+        modelProvider: provider,
+        ...(api_key ? {apiKey: api_key} : {}),
+        ...fields,
+    })
+}
+
+/**
+ * Name, tokenizer and default chunk budget of the model of a spec.
+ *
+ * OpenAI models get their own tiktoken encoding, other models are counted with cl100k_base, which
+ * approximates their tokenizers closely enough for chunking. Models served from a local
+ * OpenAI-compatible server get a smaller chunk budget.
+ * @param {ModelSpec} spec
+ * @return {{name: string, encoding_name: string, max_tokens: number}} name being "provider:model".
+ */
+export function model_profile(spec) {
+    const config = parse_model_spec(spec)
+    let name, provider, base_url
+    if (config === null) {
+        name = spec.model ?? spec.modelName ?? ""
+        provider = spec._llmType()
+    } else {
+        name = config.model
+        provider = config.provider ?? infer_provider(config.model)
+        base_url = config.base_url
+    }
+    const local = provider in LOCAL_SERVERS || (provider === 'openai' && base_url !== undefined)
+    return {
+        name: `${provider}:${name}`,
+        encoding_name: config?.encoding_name ?? encoding_for_model(name),
+        max_tokens: config?.max_tokens ?? (local ? LOCAL_MAX_TOKENS : MAX_TOKEN_PER_CHUNK),
+    }
+}
+
+/**
+ * Tiktoken encoding of an OpenAI model, cl100k_base for the others.
+ * @param {string} name
+ * @return {string}
+ */
+function encoding_for_model(name) {
+    if (/^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|chatgpt-4o|o\d)/.test(name)) {
+        return 'o200k_base'
+    }
+    return DEFAULT_ENCODING_NAME
+}
+
+function infer_provider(name) {
+    return name.startsWith('claude') ? 'anthropic' : 'openai'
+}
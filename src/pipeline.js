@@ -0,0 +1,632 @@
+import {StringOutputParser} from "@langchain/core/output_parsers";
+import {
+    DEFAULT_CONCURRENCY,
+    DEFAULT_MAX_RETRIES,
+    DEFAULT_RETRY_DELAY_MS,
+    map_with_concurrency,
+    with_retry
+} from "./concurrency.js";
+import {glossary_instruction} from "./glossary.js";
+import {reference_instruction} from "./memory.js";
+import {DEFAULT_PROMPTS, render_prompt} from "./prompts.js";
+import {
+    check_translation,
+    DEFAULT_MIN_QUALITY_SCORE,
+    DEFAULT_VALIDATION_RETRIES,
+    mqm_score,
+    parse_quality_errors
+} from "./validation.js";
+
+/** @typedef {import("@langchain/core/language_models/chat_models").BaseChatModel} BaseChatModel */
+
+export const DEFAULT_REFLECTION_ROUNDS = 1
+const NO_ISSUES_MARKER = 'NO_ISSUES'
+const DEFAULT_CHUNK_SEPARATOR = ""
+
+/**
+ * Translate a single chunk of text from the source language to the target language.
+ *
+ * This function performs a multistep translation process:
+ *     1. Get an initial translation of the source text.
+ *     2. Reflect on the current translation and generate an improved translation, repeated reflection_rounds times.
+ *     3. Validate the translation, translating it again with the issues found as feedback when it fails.
+ * @param {BaseChatModel} model LLM model.
+ * @param source_lang The source language of the text.
+ * @param target_lang The target language for the translation.
+ * @param source_text The text to be translated.
+ * @param country Country specified for the target language.
+ * @param {PipelineOptions} options
+ * @return {Promise<string>} The improved translation of the source text.
+ */
+export async function one_chunk_translate_text(model, source_lang, target_lang, source_text, country, options = {}) {
+    const {reflection_rounds = DEFAULT_REFLECTION_ROUNDS, stop_when_no_issues = false, hooks = {}} = options
+    const chunk_event = (stage, round, text) => call_hook(hooks, 'on_chunk', {stage, round, index: 0, total: 1, text})
+    let translation = await run_stage(options, {stage: 'initial', round: 0, total: 1}, async () => {
+        const translation_1 = await one_chunk_initial_translation(model, source_lang, target_lang, source_text, options)
+        chunk_event('initial', 0, translation_1)
+        return translation_1
+    })
+    for (let round = 1; round <= reflection_rounds; round++) {
+        const reflection = await run_stage(options, {stage: 'reflect', round, total: 1}, async () => {
+            const reflection = await one_chunk_reflect_on_translation(model, source_lang, target_lang, source_text, translation, country, options)
+            chunk_event('reflect', round, reflection)
+            return reflection
+        })
+        if (stop_when_no_issues && reports_no_issues(reflection)) {
+            break
+        }
+        translation = await run_stage(options, {stage: 'improve', round, total: 1}, async () => {
+            const translation_2 = await one_chunk_improve_translation(model, source_lang, target_lang, source_text, translation, reflection, options)
+            chunk_event('improve', round, translation_2)
+            return translation_2
+        })
+    }
+    [translation] = await validate_translations(model, source_lang, target_lang, [source_text], [translation], [0], options)
+    call_hook(hooks, 'on_chunk_done', {index: 0, total: 1, text: translation})
+    return translation
+}
+
+/**
+ * Improves the translation of multiple text chunks based on the initial translation and reflection.
+ *
+ * Each round reflects on the chunks that are still being refined and improves them,
+ * chunks whose reflection reports no issues keep their current translation when stop_when_no_issues is set.
+ * The translations are then validated, the ones that fail being translated again.
+ * Chunks with a reused translation are only shown as context.
+ * @param {BaseChatModel} model LLM model.
+ * @param {string} source_lang
+ * @param {string} target_lang
+ * @param {string[]} source_text_chunks
+ * @param {string} country
+ * @param {PipelineOptions} options
+ * @return {Promise<string[]>}
+ */
+export async function multi_chunk_translation(model, source_lang, target_lang, source_text_chunks, country = "", options = {}) {
+    const {reflection_rounds = DEFAULT_REFLECTION_ROUNDS, stop_when_no_issues = false, hooks = {}} = options
+    const total = source_text_chunks.length
+    const reused_translations = options.reused_translations ?? []
+    const translated = source_text_chunks.map((_, i) => i).filter(i => reused_translations[i] === undefined)
+    let pending = translated
+    const translation_chunks = await run_stage(options, {stage: 'initial', round: 0, total}, () =>
+        multi_chunk_initial_translation(model, source_lang, target_lang, source_text_chunks, pending, options))
+    reused_translations.forEach((translation, i) => {
+        if (translation !== undefined) {
+            translation_chunks[i] = translation
+        }
+    })
+    for (let round = 1; round <= reflection_rounds && pending.length > 0; round++) {
+        const reflection_chunks = await run_stage(options, {stage: 'reflect', round, total}, () =>
+            multi_chunk_reflect_on_translation(model, source_lang, target_lang, source_text_chunks, translation_chunks, country, pending, round, options))
+        if (stop_when_no_issues) {
+            pending = pending.filter(i => !reports_no_issues(reflection_chunks[i]))
+            if (pending.length === 0) {
+                break
+            }
+        }
+        const improved_chunks = await run_stage(options, {stage: 'improve', round, total}, () =>
+            multi_chunk_improve_translation(model, source_lang, target_lang, source_text_chunks, translation_chunks, reflection_chunks, pending, round, options))
+        for (const i of pending) {
+            translation_chunks[i] = improved_chunks[i]
+        }
+    }
+    const final_chunks = await validate_translations(model, source_lang, target_lang, source_text_chunks, translation_chunks, translated, options)
+    for (const i of translated) {
+        call_hook(hooks, 'on_chunk_done', {index: i, total, text: final_chunks[i]})
+    }
+    return final_chunks
+}
+
+/**
+ * Validate the translations of the chunks, translating the ones that fail again with the issues as feedback.
+ *
+ * Deterministic checks run first, the model then scores the translations that pass them when quality_score is set.
+ * A chunk is translated again up to validation_retries times, then the issues of its last translation are reported
+ * to the on_validation hook.
+ * @param {BaseChatModel} model LLM model.
+ * @param {string} source_lang
+ * @param {string} target_lang
+ * @param {string[]} source_text_chunks
+ * @param {string[]} translation_chunks
+ * @param {number[]} chunk_indexes Indexes of the chunks to validate.
+ * @param {PipelineOptions} options
+ * @return {Promise<string[]>} Translations indexed like source_text_chunks.
+ */
+async function validate_translations(model, source_lang, target_lang, source_text_chunks, translation_chunks, chunk_indexes, options) {
+    const {validate = false, quality_score = false, validation_retries = DEFAULT_VALIDATION_RETRIES, hooks = {}} = options
+    if ((!validate && !quality_score) || chunk_indexes.length === 0) {
+        return translation_chunks
+    }
+    const total = source_text_chunks.length
+    const translations = [...translation_chunks]
+    await run_stage(options, {stage: 'validate', round: 0, total}, () =>
+        map_chunks(total, chunk_indexes, options, async (i) => {
+            let result = await validate_chunk(model, source_lang, target_lang, source_text_chunks[i], translations[i], i, options)
+            let retries = 0
+            while (result.issues.length > 0 && retries < validation_retries) {
+                retries++
+                const feedback = result.issues.map(issue => `- ${issue.message}`).join("\n")
+                options.logger?.debug(`validation of chunk ${i} failed:\n${feedback}`)
+                translations[i] = total === 1
+                    ? await one_chunk_improve_translation(model, source_lang, target_lang, source_text_chunks[i], translations[i], feedback, options)
+                    : await multi_chunk_improve_chunk(model, source_lang, target_lang, source_text_chunks, translations[i], feedback, i, options)
+                call_hook(hooks, 'on_chunk', {stage: 'retry', round: retries, index: i, total, text: translations[i]})
+                result = await validate_chunk(model, source_lang, target_lang, source_text_chunks[i], translations[i], i, options)
+            }
+            call_hook(hooks, 'on_validation', {index: i, total, passed: result.issues.length === 0, ...result, retries})
+        }))
+    return translations
+}
+
+/**
+ * Check the translation of a chunk, and have the model score it when it passes the deterministic checks.
+ * @param {BaseChatModel} model LLM model.
+ * @param {string} source_lang
+ * @param {string} target_lang
+ * @param {string} source_text Source text of the chunk.
+ * @param {string} translation
+ * @param {number} index Index of the chunk.
+ * @param {PipelineOptions} options
+ * @return {Promise<{issues: import("./validation.js").ValidationIssue[], score: number|null}>}
+ */
+async function validate_chunk(model, source_lang, target_lang, source_text, translation, index, options) {
+    const {validate = false, quality_score = false, min_quality_score = DEFAULT_MIN_QUALITY_SCORE} = options
+    const issues = validate ? [
+        ...check_translation(source_text, translation, {source_lang, target_lang, length_ratio: options.length_ratio}),
+        ...(options.checks ?? []).flatMap(check => check(source_text, translation)),
+    ] : []
+    if (!quality_score || issues.length > 0) {
+        return {issues, score: null}
+    }
+    const answer = await invoke_model(model, render_prompt(options.prompts ?? DEFAULT_PROMPTS, 'quality_score', {
+        source_lang,
+        target_lang,
+        source_text,
+        translation,
+    }), options, 'validate', index)
+    const errors = parse_quality_errors(answer)
+    const score = mqm_score(source_text, errors)
+    if (score < min_quality_score) {
+        issues.push({
+            check: 'quality',
+            message: `The translation has these errors:\n${errors.map(error => `  ${error.severity} ${error.category} error: ${error.description}`).join("\n")}`,
+        })
+    }
+    return {issues, score}
+}
+
+/**
+ * Ask the model which language the text is written in.
+ * @param {BaseChatModel} model LLM model.
+ * @param {string} source_text Sample of the text, without markup.
+ * @param {PipelineOptions} options
+ * @return {Promise<string>} English name of the language, as answered by the model.
+ */
+export async function model_detect_language(model, source_text, options = {}) {
+    const messages = render_prompt(options.prompts ?? DEFAULT_PROMPTS, 'detect_language', {source_text})
+    const answer = await invoke_model(model, messages, options, 'detect')
+    return answer.trim().replace(/[.\s]+$/, "")
+}
+
+/**
+ * @typedef {object} PipelineOptions
+ * @property {number} [reflection_rounds] Number of reflect/improve rounds, 0 returns the initial translation.
+ * @property {boolean} [stop_when_no_issues] Stop refining a chunk once its reflection reports no substantive issues.
+ * @property {TranslationHooks} [hooks]
+ * @property {number} [concurrency] Maximum number of chunks translated concurrently within a stage.
+ * @property {number} [max_retries] Number of retries of a model call that failed with a rate-limit error.
+ * @property {number} [retry_delay_ms] Delay before the first retry, doubled for each following one.
+ * @property {boolean} [validate] Check the final translations for truncation, wrong script or language, leftover
+ *     prompt tags and lost numbers and URLs, off by default.
+ * @property {boolean} [quality_score] Have the model score the final translations with MQM-style error annotations.
+ * @property {number} [min_quality_score] Score between 0 and 100 below which a translation fails validation.
+ * @property {number} [validation_retries] Number of times a chunk failing validation is translated again.
+ * @property {[number, number]} [length_ratio] Minimum and maximum length of a translation relative to its source.
+ * @property {(function(string, string): import("./validation.js").ValidationIssue[])[]} [checks] Checks of the source
+ *     text and translation of a chunk run with the deterministic ones, e.g. the line limits of subtitles.
+ * @property {import("./glossary.js").Glossary|null} [glossary] Terms whose translation is enforced in every prompt.
+ * @property {string} [instructions] Additional instructions appended to every prompt.
+ * @property {string} [style_instructions] Style guidelines added to every prompt, see style_instruction().
+ * @property {import("./prompts.js").PromptRegistry} [prompts] Prompt templates, DEFAULT_PROMPTS by default.
+ * @property {string} [chunk_separator] Text put between chunks when they are shown as context, "" for contiguous chunks.
+ * @property {number} [context_chunks] Number of chunks shown as context on each side of the chunk being translated.
+ * @property {{before: string, after: string}[]} [chunk_context] Source text shown as context around each chunk,
+ *     used instead of the neighbouring chunks.
+ * @property {Logger|null} [logger] Receives debug messages, nothing is logged without one.
+ * @property {(string|undefined)[]} [reused_translations] Translations of chunks taken from a translation memory,
+ *     those chunks are not translated again.
+ * @property {Object<string, BaseChatModel>} [stage_models] Models used instead of the model for some stages,
+ *     keyed on the stage name: initial, reflect, improve or validate.
+ * @property {Map<string, import("./memory.js").ReferenceTranslation[]>} [reference_translations] Translations of
+ *     similar texts given to the prompts of a chunk, keyed on the source text of the chunk.
+ * @property {import("./limits.js").RunLimits|null} [limits] Signal, timeouts and budget of the run, checked
+ *     before each stage and each model call.
+ */
+
+/**
+ * Console compatible logger, e.g. console itself.
+ * @typedef {object} Logger
+ * @property {function(...any): void} debug
+ */
+
+/**
+ * Callbacks invoked while the pipeline runs, every one of them is optional.
+ * @typedef {object} TranslationHooks
+ * @property {function({stage: string, round: number, total: number}): void} [on_stage_start]
+ * @property {function({stage: string, round: number, total: number}): void} [on_stage_end]
+ * @property {function({stage: string, round: number, index: number, total: number, text: string}): void} [on_chunk]
+ *     Called with the draft (stage initial), reflection (stage reflect), improved translation (stage improve) or
+ *     translation made again after failing validation (stage retry, round being the attempt) of a chunk.
+ * @property {function({index: number, total: number, text: string}): void} [on_chunk_done] Called with the final translation of a chunk.
+ * @property {function({chunks: string[]}): void} [on_split] Called with the source chunks before they are translated.
+ * @property {function({stage: string, index: number, prompt_tokens: number, completion_tokens: number, total_tokens: number}): void} [on_usage]
+ *     Called after each model call with the token usage it reported.
+ * @property {function({violations: import("./glossary.js").GlossaryViolation[]}): void} [on_glossary_check] Called after a run with a glossary.
+ * @property {function({missing: {segment_index: number, placeholders: string[]}[]}): void} [on_placeholder_check]
+ *     Called after translating a document with the protected spans the model dropped, left out of the translation.
+ * @property {function({issues: import("./formats/localization.js").LocalizationIssue[]}): void} [on_localization_check]
+ *     Called after translating a localization file with the strings that are missing or whose placeholders changed.
+ * @property {function({issues: import("./formats/subtitles.js").SubtitleIssue[]}): void} [on_subtitle_check]
+ *     Called after translating subtitles with the cues whose translation is missing or does not fit in the line limits.
+ * @property {function({index: number, total: number, passed: boolean, issues: import("./validation.js").ValidationIssue[], score: number|null, retries: number}): void} [on_validation]
+ *     Called with the outcome of the validation of each translated chunk.
+ * @property {function(import("./detect.js").LanguageDetection): void} [on_language_detected]
+ *     Called with the detected source language when the source language was not given.
+ */
+
+/** Names of the hooks, stream() reports each of them as an event whose type is the name without "on_". */
+export const HOOK_NAMES = [
+    'on_stage_start',
+    'on_stage_end',
+    'on_chunk',
+    'on_chunk_done',
+    'on_split',
+    'on_usage',
+    'on_glossary_check',
+    'on_placeholder_check',
+    'on_localization_check',
+    'on_subtitle_check',
+    'on_validation',
+    'on_language_detected',
+]
+
+/**
+ * Call the named hook if it is set.
+ * @param {TranslationHooks} hooks
+ * @param {string} name
+ * @param {object} event
+ */
+export function call_hook(hooks, name, event) {
+    if (typeof hooks?.[name] === 'function') {
+        hooks[name](event)
+    }
+}
+
+/**
+ * Combine hook sets into one that calls the hooks of every set in order.
+ * @param {...TranslationHooks} hook_sets
+ * @return {TranslationHooks}
+ */
+export function combine_hooks(...hook_sets) {
+    const hooks = {}
+    for (const name of HOOK_NAMES) {
+        hooks[name] = event => hook_sets.forEach(set => call_hook(set, name, event))
+    }
+    return hooks
+}
+
+/**
+ * Run one stage of the pipeline between its on_stage_start and on_stage_end hooks, once the limits of the run
+ * are checked.
+ * @template T
+ * @param {PipelineOptions} options
+ * @param {{stage: string, round: number, total: number}} event
+ * @param {function(): Promise<T>} fn
+ * @return {Promise<T>}
+ */
+async function run_stage(options, event, fn) {
+    const {hooks = {}, limits = null} = options
+    limits?.check()
+    call_hook(hooks, 'on_stage_start', event)
+    const result = await fn()
+    call_hook(hooks, 'on_stage_end', event)
+    return result
+}
+
+/**
+ * Send the messages to the model and return the text of its reply, retrying on rate-limit errors.
+ *
+ * The model of the stage is used when stage_models has one. The token usage reported by the model is
+ * passed to the on_usage hook. With limits, the call gets the signal of the run and is checked against its budget.
+ * @param {BaseChatModel} model LLM model.
+ * @param {[string, string][]} messages
+ * @param {PipelineOptions} options
+ * @param {string} stage Stage of the call, initial, reflect, improve, validate or detect.
+ * @param {number} index Index of the chunk.
+ * @return {Promise<string>}
+ */
+async function invoke_model(model, messages, options, stage, index = 0) {
+    const {max_retries = DEFAULT_MAX_RETRIES, retry_delay_ms = DEFAULT_RETRY_DELAY_MS, hooks = {}, limits = null} = options
+    const stage_model = options.stage_models?.[stage] ?? model
+    const call = limits
+        ? () => limits.call(signal => stage_model.invoke(messages, {signal}))
+        : () => stage_model.invoke(messages)
+    const result = await with_retry(call, max_retries, retry_delay_ms, limits?.signal)
+    const usage = extract_usage(result)
+    limits?.record(usage)
+    call_hook(hooks, 'on_usage', {stage, index, ...usage})
+    const parser = new StringOutputParser()
+    return parser.invoke(result)
+}
+
+/**
+ * Read the token usage of a chat model reply, whichever way its provider reports it, zeros when it does not.
+ * @param {import("@langchain/core/messages").AIMessage} message
+ * @return {{prompt_tokens: number, completion_tokens: number, total_tokens: number}}
+ */
+export function extract_usage(message) {
+    const metadata = message.usage_metadata
+    const token_usage = message.response_metadata?.tokenUsage ?? message.response_metadata?.usage ?? {}
+    const prompt_tokens = metadata?.input_tokens ?? token_usage.promptTokens ?? token_usage.input_tokens ?? 0
+    const completion_tokens = metadata?.output_tokens ?? token_usage.completionTokens ?? token_usage.output_tokens ?? 0
+    return {prompt_tokens, completion_tokens, total_tokens: metadata?.total_tokens ?? prompt_tokens + completion_tokens}
+}
+
+/**
+ * Run fn for the given chunk indexes with the configured concurrency.
+ * @param {number} total Number of chunks.
+ * @param {number[]|null} chunk_indexes Indexes to run, all chunks when null.
+ * @param {PipelineOptions} options
+ * @param {function(number): Promise<string>} fn
+ * @return {Promise<string[]>} Results indexed like the chunks, undefined for skipped chunks.
+ */
+async function map_chunks(total, chunk_indexes, options, fn) {
+    const {concurrency = DEFAULT_CONCURRENCY} = options
+    const indexes = chunk_indexes ?? [...Array(total).keys()]
+    const results = new Array(total)
+    await map_with_concurrency(indexes, concurrency, async (i) => {
+        results[i] = await fn(i)
+    })
+    return results
+}
+
+/**
+ * Check whether a reflection says the translation needs no further changes.
+ * @param {string} reflection
+ * @return {boolean}
+ */
+function reports_no_issues(reflection) {
+    return reflection.trim() === NO_ISSUES_MARKER
+}
+
+/**
+ * Instruction appended to reflection prompts so the model can signal that no more rounds are needed.
+ * @param {boolean} stop_when_no_issues
+ * @return {string}
+ */
+function no_issues_instruction(stop_when_no_issues) {
+    if (!stop_when_no_issues) {
+        return ""
+    }
+    return `
+If the translation has no substantive issues and needs no changes, output only ${NO_ISSUES_MARKER} and nothing else.`
+}
+
+/**
+ * Sentence of the reflection prompts asking for the style of the target language spoken in the country, "" without one.
+ * @param {string} target_lang
+ * @param {string} country
+ * @return {string}
+ */
+function country_instruction(target_lang, country) {
+    if (!country) {
+        return ""
+    }
+    return `
+The final style and tone of the translation should match the style of ${target_lang} colloquially spoken in ${country}.`
+}
+
+/**
+ * Build the source text of a chunk prompt: the chunk delimited by <TRANSLATE_THIS> tags and its context,
+ * either the given chunk_context or the neighbouring chunks.
+ * @param {string[]} source_text_chunks
+ * @param {number} i Index of the chunk being translated.
+ * @param {PipelineOptions} options
+ * @return {string}
+ */
+function tag_chunk(source_text_chunks, i, options = {}) {
+    const tagged_chunk = "<TRANSLATE_THIS>" + source_text_chunks[i] + "</TRANSLATE_THIS>"
+    if (options.chunk_context) {
+        const {before, after} = options.chunk_context[i]
+        return before + tagged_chunk + after
+    }
+    const {chunk_separator = DEFAULT_CHUNK_SEPARATOR, context_chunks = Infinity} = options
+    const before = source_text_chunks.slice(Math.max(0, i - context_chunks), i)
+    const after = source_text_chunks.slice(i + 1, i + 1 + context_chunks)
+    return [...before, tagged_chunk, ...after].join(chunk_separator)
+}
+
+/**
+ * Instructions added to the prompts of a chunk: the glossary terms found in it, translations of similar texts,
+ * the style guidelines and the caller's instructions.
+ * @param {PipelineOptions} options
+ * @param {string} source_text The source text of the chunk.
+ * @return {string}
+ */
+function additional_instructions(options, source_text) {
+    let instructions = glossary_instruction(options.glossary, source_text)
+    instructions += reference_instruction(options.reference_translations?.get(source_text))
+    instructions += options.style_instructions ?? ""
+    if (options.instructions) {
+        instructions += `\n\n${options.instructions}`
+    }
+    return instructions
+}
+
+/**
+ * Translate the entire text as one chunk using an LLM.
+ * @param {BaseChatModel} model LLM model.
+ * @param {string} source_lang The source language of the text.
+ * @param {string} target_lang The target language for translation.
+ * @param {string} source_text The text to be translated.
+ * @param {PipelineOptions} options
+ * @return {Promise<string>} The translated text.
+ */
+async function one_chunk_initial_translation(model, source_lang, target_lang, source_text, options = {}) {
+    return invoke_model(model, render_prompt(options.prompts ?? DEFAULT_PROMPTS, 'one_chunk_initial', {
+        source_lang,
+        target_lang,
+        source_text,
+        instructions: additional_instructions(options, source_text),
+    }), options, 'initial')
+}
+
+/**
+ * Use an LLM to reflect on the translation, treating the entire text as one chunk.
+ * @param {BaseChatModel} model LLM model.
+ * @param {string} source_lang The source language of the text.
+ * @param {string} target_lang The target language of the translation.
+ * @param {string} source_text The original text in the source language.
+ * @param {string} translation_1 The initial translation of the source text.
+ * @param {string} country Country specified for the target language.
+ * @param {PipelineOptions} options stop_when_no_issues asks the LLM to answer with NO_ISSUES when nothing needs to change.
+ * @return {Promise<string>} The LLM's reflection on the translation, providing constructive criticism and suggestions for improvement.
+ */
+async function one_chunk_reflect_on_translation(model, source_lang, target_lang, source_text, translation_1, country = "", options = {}) {
+    return invoke_model(model, render_prompt(options.prompts ?? DEFAULT_PROMPTS, 'one_chunk_reflect', {
+        source_lang,
+        target_lang,
+        country,
+        country_instruction: country_instruction(target_lang, country),
+        source_text,
+        translation: translation_1,
+        instructions: additional_instructions(options, source_text) + no_issues_instruction(options.stop_when_no_issues),
+    }), options, 'reflect')
+}
+
+/**
+ * Use the reflection to improve the translation, treating the entire text as one chunk.
+ * @param {BaseChatModel} model LLM model.
+ * @param {string} source_lang The source language of the text.
+ * @param {string} target_lang The target language for the translation.
+ * @param {string} source_text The original text in the source language.
+ * @param {string} translation_1 The initial translation of the source text.
+ * @param {string} reflection Expert suggestions and constructive criticism for improving the translation.
+ * @param {PipelineOptions} options
+ * @return {Promise<string>} The improved translation based on the expert suggestions.
+ */
+async function one_chunk_improve_translation(model, source_lang, target_lang, source_text, translation_1, reflection, options = {}) {
+    return invoke_model(model, render_prompt(options.prompts ?? DEFAULT_PROMPTS, 'one_chunk_improve', {
+        source_lang,
+        target_lang,
+        source_text,
+        translation: translation_1,
+        reflection,
+        instructions: additional_instructions(options, source_text),
+    }), options, 'improve')
+}
+
+/**
+ * Translate each chunk using an LLM, using the other chunks as context.
+ * @param {BaseChatModel} model LLM model.
+ * @param {string} source_lang
+ * @param {string} target_lang
+ * @param {string[]} source_text_chunks
+ * @param {number[]} chunk_indexes Indexes of the chunks to translate, defaults to all of them.
+ * @param {PipelineOptions} options
+ * @return {Promise<string[]>} Translations indexed like source_text_chunks, undefined for skipped chunks.
+ */
+async function multi_chunk_initial_translation(model, source_lang, target_lang, source_text_chunks, chunk_indexes = null, options = {}) {
+    const {hooks = {}} = options
+    return map_chunks(source_text_chunks.length, chunk_indexes, options, async (i) => {
+        const chunk_to_translate = source_text_chunks[i]
+        const translation = await invoke_model(model, render_prompt(options.prompts ?? DEFAULT_PROMPTS, 'multi_chunk_initial', {
+            source_lang,
+            target_lang,
+            tagged_text: tag_chunk(source_text_chunks, i, options),
+            chunk_to_translate,
+            instructions: additional_instructions(options, chunk_to_translate),
+        }), options, 'initial', i)
+        options.logger?.debug(`translation_1.[${i}] = ${translation}`)
+        call_hook(hooks, 'on_chunk', {stage: 'initial', round: 0, index: i, total: source_text_chunks.length, text: translation})
+        return translation
+    })
+}
+
+/**
+ * Use an LLM to reflect on the translation of each chunk, using the other chunks as context.
+ * @param {BaseChatModel} model LLM model.
+ * @param {string} source_lang
+ * @param {string} target_lang
+ * @param {string[]} source_text_chunks
+ * @param {string[]} translation_1_trunks
+ * @param {string} country
+ * @param {number[]} chunk_indexes Indexes of the chunks to reflect on, defaults to all of them.
+ * @param {number} round
+ * @param {PipelineOptions} options stop_when_no_issues asks the LLM to answer with NO_ISSUES when nothing needs to change.
+ * @return {Promise<string[]>} Reflections indexed like source_text_chunks, undefined for skipped chunks.
+ */
+async function multi_chunk_reflect_on_translation(model, source_lang, target_lang, source_text_chunks, translation_1_trunks, country = "", chunk_indexes = null, round = 1, options = {}) {
+    const {hooks = {}} = options
+    return map_chunks(source_text_chunks.length, chunk_indexes, options, async (i) => {
+        const chunk_to_translate = source_text_chunks[i]
+        const reflection = await invoke_model(model, render_prompt(options.prompts ?? DEFAULT_PROMPTS, 'multi_chunk_reflect', {
+            source_lang,
+            target_lang,
+            country,
+            country_instruction: country_instruction(target_lang, country),
+            tagged_text: tag_chunk(source_text_chunks, i, options),
+            chunk_to_translate,
+            translation: translation_1_trunks[i],
+            instructions: additional_instructions(options, chunk_to_translate) + no_issues_instruction(options.stop_when_no_issues),
+        }), options, 'reflect', i)
+        call_hook(hooks, 'on_chunk', {stage: 'reflect', round, index: i, total: source_text_chunks.length, text: reflection})
+        return reflection
+    })
+}
+
+/**
+ * Use the reflections to improve the translation of each chunk.
+ * @param {BaseChatModel} model LLM model.
+ * @param {string} source_lang
+ * @param {string} target_lang
+ * @param {string[]} source_text_chunks
+ * @param {string[]} translation_1_trunks
+ * @param {string[]} reflection_chunks
+ * @param {number[]} chunk_indexes Indexes of the chunks to improve, defaults to all of them.
+ * @param {number} round
+ * @param {PipelineOptions} options
+ * @return {Promise<string[]>} Improved translations indexed like source_text_chunks, undefined for skipped chunks.
+ */
+async function multi_chunk_improve_translation(model, source_lang, target_lang, source_text_chunks, translation_1_trunks, reflection_chunks, chunk_indexes = null, round = 1, options = {}) {
+    const {hooks = {}} = options
+    return map_chunks(source_text_chunks.length, chunk_indexes, options, async (i) => {
+        const translation_2 = await multi_chunk_improve_chunk(model, source_lang, target_lang, source_text_chunks, translation_1_trunks[i], reflection_chunks[i], i, options)
+        call_hook(hooks, 'on_chunk', {stage: 'improve', round, index: i, total: source_text_chunks.length, text: translation_2})
+        return translation_2
+    })
+}
+
+/**
+ * Use the reflection to improve the translation of one chunk, using the other chunks as context.
+ * @param {BaseChatModel} model LLM model.
+ * @param {string} source_lang
+ * @param {string} target_lang
+ * @param {string[]} source_text_chunks
+ * @param {string} translation Current translation of the chunk.
+ * @param {string} reflection
+ * @param {number} i Index of the chunk.
+ * @param {PipelineOptions} options
+ * @return {Promise<string>}
+ */
+async function multi_chunk_improve_chunk(model, source_lang, target_lang, source_text_chunks, translation, reflection, i, options = {}) {
+    const chunk_to_translate = source_text_chunks[i]
+    return invoke_model(model, render_prompt(options.prompts ?? DEFAULT_PROMPTS, 'multi_chunk_improve', {
+        source_lang,
+        target_lang,
+        tagged_text: tag_chunk(source_text_chunks, i, options),
+        chunk_to_translate,
+        translation,
+        reflection,
+        instructions: additional_instructions(options, chunk_to_translate),
+    }), options, 'improve', i)
+}
@@ -0,0 +1,334 @@
+import {createHash} from "node:crypto";
+
+/**
+ * A prompt template, either a string with {name} placeholders or a function of the variables.
+ *
+ * Variables of every template: source_lang, target_lang and instructions, the additional instructions
+ * of the chunk (glossary, references, style). One chunk templates also get source_text, multi chunk
+ * templates tagged_text, the whole source with the chunk between <TRANSLATE_THIS> tags, and
+ * chunk_to_translate. Reflect templates get translation, country and country_instruction, improve
+ * templates translation and reflection. The quality_score template gets source_text and translation,
+ * the detect_language template source_text alone.
+ * Placeholders of unknown variables are left as they are.
+ * @typedef {string|function(Object<string, string>): string} PromptTemplate
+ */
+
+/**
+ * @typedef {object} StagePrompt
+ * @property {PromptTemplate} system
+ * @property {PromptTemplate} user
+ */
+
+/**
+ * Prompt templates of every pipeline stage, keyed on "one_chunk_" or "multi_chunk_" followed by the stage name,
+ * quality_score, asking for the errors of a translation to score it, and detect_language, asking for the language
+ * of a text the source language was not given for.
+ * @typedef {Object<string, StagePrompt>} PromptRegistry
+ */
+
+/** Version of the default prompts, part of the translation memory scope so that older translations are not reused after a change. */
+export const PROMPT_VERSION = 2
+
+const ONE_CHUNK_REFLECT = `Your task is to carefully read a source text and a translation from {source_lang} to {target_lang}, and then give constructive criticisms and helpful suggestions to improve the translation.{country_instruction}
+
+The source text and initial translation, delimited by XML tags <SOURCE_TEXT></SOURCE_TEXT> and <TRANSLATION></TRANSLATION>, are as follows:
+
+<SOURCE_TEXT>
+{source_text}
+</SOURCE_TEXT>
+
+<TRANSLATION>
+{translation}
+</TRANSLATION>
+
+When writing suggestions, pay attention to whether there are ways to improve the translation's
+(i) accuracy (by correcting errors of addition, mistranslation, omission, or untranslated text),
+(ii) fluency (by applying {target_lang} grammar, spelling and punctuation rules, and ensuring there are no unnecessary repetitions),
+(iii) style (by ensuring the translations reflect the style of the source text and take into account any cultural context),
+(iv) terminology (by ensuring terminology use is consistent and reflects the source text domain; and by only ensuring you use equivalent idioms {target_lang}).
+
+Write a list of specific, helpful and constructive suggestions for improving the translation.
+Each suggestion should address one specific part of the translation.
+Output only the suggestions and nothing else.{instructions}`
+
+const MULTI_CHUNK_REFLECT = `Your task is to carefully read a source text and part of a translation of that text from {source_lang} to {target_lang}, and then give constructive criticism and helpful suggestions for improving the translation.{country_instruction}
+
+The source text is below, delimited by XML tags <SOURCE_TEXT> and </SOURCE_TEXT>, and the part that has been translated
+is delimited by <TRANSLATE_THIS> and </TRANSLATE_THIS> within the source text. You can use the rest of the source text
+as context for critiquing the translated part.
+
+<SOURCE_TEXT>
+{tagged_text}
+</SOURCE_TEXT>
+
+To reiterate, only part of the text is being translated, shown here again between <TRANSLATE_THIS> and </TRANSLATE_THIS>:
+<TRANSLATE_THIS>
+{chunk_to_translate}
+</TRANSLATE_THIS>
+
+The translation of the indicated part, delimited below by <TRANSLATION> and </TRANSLATION>, is as follows:
+<TRANSLATION>
+{translation}
+</TRANSLATION>
+
+When writing suggestions, pay attention to whether there are ways to improve the translation's:
+(i) accuracy (by correcting errors of addition, mistranslation, omission, or untranslated text),
+(ii) fluency (by applying {target_lang} grammar, spelling and punctuation rules, and ensuring there are no unnecessary repetitions),
+(iii) style (by ensuring the translations reflect the style of the source text and take into account any cultural context),
+(iv) terminology (by ensuring terminology use is consistent and reflects the source text domain; and by only ensuring you use equivalent idioms {target_lang}).
+
+Write a list of specific, helpful and constructive suggestions for improving the translation.
+Each suggestion should address one specific part of the translation.
+Output only the suggestions and nothing else.{instructions}`
+
+const REFLECT_SYSTEM = `You are an expert linguist specializing in translation from {source_lang} to {target_lang}.
+You will be provided with a source text and its translation and your goal is to improve the translation.`
+
+/** @type {PromptRegistry} */
+export const DEFAULT_PROMPTS = {
+    one_chunk_initial: {
+        system: `You are an expert linguist, specializing in translation from {source_lang} to {target_lang}.`,
+        user: `This is an {source_lang} to {target_lang} translation, please provide the {target_lang} translation for this text.
+Do not provide any explanations or text apart from the translation.{instructions}
+{source_lang}: {source_text}
+
+{target_lang}:`,
+    },
+    one_chunk_reflect: {
+        system: REFLECT_SYSTEM,
+        user: ONE_CHUNK_REFLECT,
+    },
+    one_chunk_improve: {
+        system: `You are an expert linguist, specializing in translation editing from {source_lang} to {target_lang}.`,
+        user: `Your task is to carefully read, then edit, a translation from {source_lang} to {target_lang}, taking into
+account a list of expert suggestions and constructive criticisms.
+
+The source text, the initial translation, and the expert linguist suggestions are delimited by XML tags <SOURCE_TEXT></SOURCE_TEXT>, <TRANSLATION></TRANSLATION> and <EXPERT_SUGGESTIONS></EXPERT_SUGGESTIONS>
+as follows:
+
+<SOURCE_TEXT>
+{source_text}
+</SOURCE_TEXT>
+
+<TRANSLATION>
+{translation}
+</TRANSLATION>
+
+<EXPERT_SUGGESTIONS>
+{reflection}
+</EXPERT_SUGGESTIONS>
+
+Please take into account the expert suggestions when editing the translation. Edit the translation by ensuring:
+
+(i) accuracy (by correcting errors of addition, mistranslation, omission, or untranslated text),
+(ii) fluency (by applying {target_lang} grammar, spelling and punctuation rules and ensuring there are no unnecessary repetitions),
+(iii) style (by ensuring the translations reflect the style of the source text)
+(iv) terminology (inappropriate for context, inconsistent use), or
+(v) other errors.
+
+Output only the new translation and nothing else.{instructions}`,
+    },
+    multi_chunk_initial: {
+        system: `You are an expert linguist, specializing in translation from {source_lang} to {target_lang}.`,
+        user: `Your task is to provide a professional translation from {source_lang} to {target_lang} of PART of a text.
+
+The source text is below, delimited by XML tags <SOURCE_TEXT> and </SOURCE_TEXT>. Translate only the part within the source text
+delimited by <TRANSLATE_THIS> and </TRANSLATE_THIS>. You can use the rest of the source text as context, but do not translate any
+of the other text. Do not output anything other than the translation of the indicated part of the text.
+
+<SOURCE_TEXT>
+{tagged_text}
+</SOURCE_TEXT>
+
+To reiterate, you should translate only this part of the text, shown here again between <TRANSLATE_THIS> and </TRANSLATE_THIS>:
+<TRANSLATE_THIS>
+{chunk_to_translate}
+</TRANSLATE_THIS>
+
+Output only the translation of the portion you are asked to translate, and nothing else.{instructions}`,
+    },
+    multi_chunk_reflect: {
+        system: REFLECT_SYSTEM,
+        user: MULTI_CHUNK_REFLECT,
+    },
+    multi_chunk_improve: {
+        system: `You are an expert linguist, specializing in translation editing from {source_lang} to {target_lang}.`,
+        user: `Your task is to carefully read, then improve, a translation from {source_lang} to {target_lang}, taking into
+account a set of expert suggestions and constructive criticisms. Below, the source text, initial translation, and expert suggestions are provided.
+
+The source text is below, delimited by XML tags <SOURCE_TEXT> and </SOURCE_TEXT>, and the part that has been translated
+is delimited by <TRANSLATE_THIS> and </TRANSLATE_THIS> within the source text. You can use the rest of the source text
+as context, but need to provide a translation only of the part indicated by <TRANSLATE_THIS> and </TRANSLATE_THIS>.
+
+<SOURCE_TEXT>
+{tagged_text}
+</SOURCE_TEXT>
+
+To reiterate, only part of the text is being translated, shown here again between <TRANSLATE_THIS> and </TRANSLATE_THIS>:
+<TRANSLATE_THIS>
+{chunk_to_translate}
+</TRANSLATE_THIS>
+
+The translation of the indicated part, delimited below by <TRANSLATION> and </TRANSLATION>, is as follows:
+<TRANSLATION>
+{translation}
+</TRANSLATION>
+
+The expert translations of the indicated part, delimited below by <EXPERT_SUGGESTIONS> and </EXPERT_SUGGESTIONS>, are as follows:
+<EXPERT_SUGGESTIONS>
+{reflection}
+</EXPERT_SUGGESTIONS>
+
+Taking into account the expert suggestions rewrite the translation to improve it, paying attention
+to whether there are ways to improve the translation's
+
+(i) accuracy (by correcting errors of addition, mistranslation, omission, or untranslated text),
+(ii) fluency (by applying {target_lang} grammar, spelling and punctuation rules and ensuring there are no unnecessary repetitions),
+(iii) style (by ensuring the translations reflect the style of the source text)
+(iv) terminology (inappropriate for context, inconsistent use), or
+(v) other errors.
+
+Output only the new translation of the indicated part and nothing else.{instructions}`,
+    },
+    quality_score: {
+        system: `You are an expert linguist, specializing in translation quality evaluation from {source_lang} to {target_lang}.`,
+        user: `Your task is to evaluate a translation from {source_lang} to {target_lang} following the MQM framework,
+finding its errors of accuracy (addition, omission, mistranslation, untranslated text), fluency (grammar, spelling,
+punctuation), terminology, style and locale conventions.
+
+The source text and translation, delimited by XML tags <SOURCE_TEXT></SOURCE_TEXT> and <TRANSLATION></TRANSLATION>, are as follows:
+
+<SOURCE_TEXT>
+{source_text}
+</SOURCE_TEXT>
+
+<TRANSLATION>
+{translation}
+</TRANSLATION>
+
+List every error on its own line as: severity | category | description
+severity being minor, major or critical, critical errors being the ones that change the meaning or make the text unusable.
+If the translation has no errors, output only NO_ERRORS.
+Output only the errors and nothing else.`,
+    },
+    detect_language: {
+        system: `You are an expert linguist.`,
+        user: `Which language is the text below, delimited by XML tags <TEXT> and </TEXT>, written in?
+Answer with the English name of the language only, such as English, German or Japanese, and nothing else.
+
+<TEXT>
+{source_text}
+</TEXT>`,
+    },
+}
+
+/** Named style profiles, each one a guideline added to the prompts of every stage. */
+export const STYLE_PROFILES = {
+    formal: `Use a formal register: address the reader formally (e.g. "Sie" in German, "vous" in French, "usted" in Spanish) and avoid slang and contractions.`,
+    informal: `Use an informal, conversational register: address the reader informally (e.g. "du" in German, "tu" in French, "tú" in Spanish).`,
+    marketing: `This is marketing copy: prefer persuasive wording that sounds natural in the target language over a literal translation, keep the tone and the calls to action, and adapt idioms and cultural references to the audience.`,
+    technical: `This is technical documentation: prefer precision and consistency over style, use the established technical terms of the target language, and keep code, commands, identifiers and file names unchanged.`,
+    ui: `These are user interface strings shown in buttons, menus and labels: keep them as short as the source, use the terminology usual in software in the target language, and keep the capitalization style of the source.`,
+}
+
+/**
+ * Style of the translation, injected into the prompts of every stage.
+ * @typedef {object} StyleOptions
+ * @property {string|string[]} [style] Names of STYLE_PROFILES, e.g. ['technical', 'formal'].
+ * @property {string} [domain] Domain of the text, e.g. "medical devices".
+ * @property {string} [audience] Readers of the translation, e.g. "patients without medical training".
+ * @property {number} [max_length] Maximum number of characters of each translated string, for UI strings.
+ */
+
+/**
+ * Merge prompt overrides into the default registry, overriding the system or user template of a stage alone.
+ * @param {Object<string, Partial<StagePrompt>>} overrides
+ * @return {PromptRegistry}
+ */
+export function resolve_prompts(overrides = {}) {
+    const prompts = {...DEFAULT_PROMPTS}
+    for (const [name, prompt] of Object.entries(overrides ?? {})) {
+        if (!(name in DEFAULT_PROMPTS)) {
+            throw new Error(`unknown prompt: ${name}, expected one of ${Object.keys(DEFAULT_PROMPTS).join(", ")}`)
+        }
+        prompts[name] = {...DEFAULT_PROMPTS[name], ...prompt}
+    }
+    return prompts
+}
+
+/**
+ * Version of the prompts of a call for the translation memory scope, PROMPT_VERSION followed by a hash of
+ * the prompt overrides and style instruction when there are any.
+ * @param {Object<string, Partial<StagePrompt>>} overrides
+ * @param {string} style
+ * @return {string}
+ */
+export function prompt_version(overrides, style) {
+    const customizations = [
+        ...Object.entries(overrides ?? {}).flatMap(([name, prompt]) => [name, String(prompt.system), String(prompt.user)]),
+        style,
+    ].join("\n")
+    if (customizations.trim() === "") {
+        return String(PROMPT_VERSION)
+    }
+    return `${PROMPT_VERSION}-${createHash('sha256').update(customizations).digest('hex').slice(0, 12)}`
+}
+
+/**
+ * Render the system and user messages of a stage.
+ * @param {PromptRegistry} prompts
+ * @param {string} name Prompt name, e.g. multi_chunk_reflect.
+ * @param {Object<string, string>} variables
+ * @return {[string, string][]}
+ */
+export function render_prompt(prompts, name, variables) {
+    const prompt = prompts[name]
+    return [
+        ["system", render_template(prompt.system, variables)],
+        ["user", render_template(prompt.user, variables)],
+    ]
+}
+
+/**
+ * Build the style instruction of the prompts, "" without any style option.
+ * @param {StyleOptions} options
+ * @return {string}
+ */
+export function style_instruction(options) {
+    const names = [options.style ?? []].flat()
+    const guidelines = names.map(name => {
+        if (!(name in STYLE_PROFILES)) {
+            throw new Error(`unknown style profile: ${name}, expected one of ${Object.keys(STYLE_PROFILES).join(", ")}`)
+        }
+        return STYLE_PROFILES[name]
+    })
+    if (options.domain) {
+        guidelines.push(`The text belongs to the domain of ${options.domain}, use the terminology of this domain.`)
+    }
+    if (options.audience) {
+        guidelines.push(`The translation is intended for ${options.audience}, write for these readers.`)
+    }
+    if (options.max_length) {
+        guidelines.push(`Each translated string must be at most ${options.max_length} characters long.`)
+    }
+    if (guidelines.length === 0) {
+        return ""
+    }
+    return `
+
+Follow these style guidelines:
+${guidelines.map(guideline => `- ${guideline}`).join("\n")}`
+}
+
+/**
+ * Replace the {name} placeholders of a template in a single pass, so that placeholders within the values are kept.
+ * @param {PromptTemplate} template
+ * @param {Object<string, string>} variables
+ * @return {string}
+ */
+function render_template(template, variables) {
+    if (typeof template === 'function') {
+        return template(variables)
+    }
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => name in variables ? variables[name] : placeholder)
+}
@@ -0,0 +1,33 @@
+import {getEncoding} from "js-tiktoken";
+
+export const MAX_TOKEN_PER_CHUNK = 1000
+export const DEFAULT_ENCODING_NAME = 'cl100k_base'
+
+const encodings = new Map()
+
+export function num_tokens_in_string(input_str, encoding_name = DEFAULT_ENCODING_NAME) {
+    if (!encodings.has(encoding_name)) {
+        encodings.set(encoding_name, getEncoding(encoding_name))
+    }
+    return encodings.get(encoding_name).encode(input_str).length;
+}
+
+/**
+ * Calculate the chunk size, in whole tokens, that splits token_count tokens into the fewest chunks
+ * of at most token_limit tokens while keeping the chunks about the same size.
+ * @param {number} token_count
+ * @param {number} token_limit
+ * @return {number}
+ */
+export function calculate_chunk_size(token_count, token_limit) {
+    if (token_count <= token_limit) {
+        return token_count
+    }
+    const num_chunks = Math.floor((token_count + token_limit - 1) / token_limit)
+    let chunk_size = Math.floor(token_count / num_chunks)
+    const remaining_tokens = token_count % token_limit
+    if (remaining_tokens > 0) {
+        chunk_size += Math.floor(remaining_tokens / num_chunks)
+    }
+    return chunk_size
+}
@@ -0,0 +1,948 @@
+import {BaseChatModel} from "@langchain/core/language_models/chat_models";
+import {calculate_chunk_size, num_tokens_in_string} from "./tokens.js";
+import {join_chunks, split_paragraphs, split_text} from "./chunker.js";
+import {DEFAULT_CONCURRENCY, DEFAULT_MAX_RETRIES, DEFAULT_RETRY_DELAY_MS} from "./concurrency.js";
+import {
+    call_hook,
+    combine_hooks,
+    DEFAULT_REFLECTION_ROUNDS,
+    HOOK_NAMES,
+    model_detect_language,
+    multi_chunk_translation,
+    one_chunk_translate_text
+} from "./pipeline.js";
+import {prompt_version, resolve_prompts, style_instruction} from "./prompts.js";
+import {check_glossary, glossary_for_language, glossary_version, is_glossary_by_language, normalize_glossary} from "./glossary.js";
+import {create_model, DEFAULT_MODEL, MODEL_STAGES, model_profile} from "./models.js";
+import {detect_language, MIN_DETECTION_CONFIDENCE} from "./detect.js";
+import {DEFAULT_LENGTH_RATIO, DEFAULT_MIN_QUALITY_SCORE, DEFAULT_VALIDATION_RETRIES} from "./validation.js";
+import {RunLimits, TranslationStoppedError} from "./limits.js";
+import {
+    batch_units,
+    check_placeholders,
+    DEFAULT_BATCH_SIZE,
+    DEFAULT_MAX_LINE_LENGTH,
+    DEFAULT_MAX_LINES,
+    DOCUMENT_FORMATS,
+    format_batch,
+    LOCALIZATION_FORMATS,
+    LOCALIZATION_INSTRUCTION,
+    parse_document,
+    parse_localization,
+    parse_subtitles,
+    placeholder_check,
+    PLACEHOLDER_INSTRUCTION,
+    render_document,
+    render_localization,
+    render_subtitles,
+    subtitle_check,
+    subtitle_instruction,
+    SUBTITLE_FORMATS,
+    unbatch
+} from "./formats/index.js";
+
+/** Number of neighbouring segments on each side shown as context when translating a document segment. */
+const DOCUMENT_CONTEXT_CHUNKS = 5
+
+/** Characters of the source text shown to the model to detect its language. */
+const MODEL_DETECTION_SAMPLE_LENGTH = 1000
+
+/**
+ * @typedef {object} TranslatorOptions
+ * @property {import("./models.js").ModelSpec} [model] LLM model, a chat model or a model config such as
+ *     "anthropic:claude-3-5-sonnet-latest", defaults to gpt-4o through ChatOpenAI.
+ * @property {{initial?: import("./models.js").ModelSpec, reflect?: import("./models.js").ModelSpec, improve?: import("./models.js").ModelSpec, validate?: import("./models.js").ModelSpec}} [stage_models]
+ *     Models used for some stages instead of model, e.g. a cheaper model for the initial translation or another
+ *     model judging the quality of the translations.
+ * @property {string} [encoding_name] Tiktoken encoding used to count tokens, defaults to the one of the initial stage model.
+ * @property {number} [max_tokens] Maximum number of tokens per chunk, defaults to the budget of the initial stage model.
+ * @property {number} [chunk_overlap] Tokens of source text shown as context on each side of a chunk, 0 for the whole text.
+ * @property {string} [country] Country specified for the target language, "" for none.
+ * @property {string} [source_lang] Default source language, detected from the text when missing.
+ * @property {boolean} [detect_with_model] Ask the model for the source language when detecting it from the text
+ *     alone is not conclusive, instead of failing.
+ * @property {string|string[]} [target_lang] Default target language, or several target languages the text is
+ *     translated into in one call, e.g. ['German', 'French', 'Japanese'].
+ * @property {number} [reflection_rounds] How many reflect/improve rounds to run after the initial translation, 0 returns the draft.
+ * @property {boolean} [stop_when_no_issues] Stop refining once a reflection reports no substantive issues.
+ * @property {boolean} [validate] Check the final translation of every chunk for truncation, wrong script or language,
+ *     leftover prompt tags and lost numbers and URLs.
+ * @property {boolean} [quality_score] Have the model find the errors of every final translation to give it an MQM-style score.
+ * @property {number} [min_quality_score] Score between 0 and 100 below which a translation fails validation.
+ * @property {number} [validation_retries] Number of times a chunk failing validation is translated again with the issues
+ *     found, chunks still failing are reported to on_validation and in the details.
+ * @property {[number, number]} [length_ratio] Minimum and maximum length of a translation relative to its source.
+ * @property {import("./pipeline.js").TranslationHooks} [hooks] Callbacks invoked while the pipeline runs.
+ * @property {number} [concurrency] Maximum number of chunks translated concurrently within a stage.
+ * @property {number} [max_retries] Number of retries of a model call that failed with a rate-limit error.
+ * @property {number} [retry_delay_ms] Delay before the first retry, doubled for each following one.
+ * @property {import("./glossary.js").Glossary|Object<string, string>|Map<string, string>|Object<string, import("./glossary.js").Glossary|Object<string, string>>} [glossary]
+ *     Source term to target term map, or {terms, do_not_translate}, see load_glossary() to read one from a file.
+ *     Several target languages need a glossary per language keyed on the language, e.g. {German: {...}, French: {...}},
+ *     languages missing from it being translated without a glossary.
+ * @property {'text'|'markdown'|'html'|'json'|'po'|'xliff'|'srt'|'vtt'} [format] Translate only the text of a Markdown or
+ *     HTML document, keeping its structure, fill in the target strings of a JSON bundle, PO file or XLIFF file, or
+ *     translate the cues of SRT or WebVTT subtitles, keeping their timings.
+ * @property {number} [max_line_length] Maximum number of characters of a subtitle line.
+ * @property {number} [max_lines] Maximum number of lines of a subtitle cue.
+ * @property {number} [batch_size] Maximum number of strings of a localization file, or cues of subtitles, translated in one prompt.
+ * @property {import("./pipeline.js").Logger|null} [logger] Receives debug messages such as token counts and drafts, e.g. console.
+ * @property {import("./memory.js").TranslationMemory|null} [memory] Reuses earlier translations of unchanged chunks
+ *     and gives translations of similar chunks to the prompts.
+ * @property {Object<string, Partial<import("./prompts.js").StagePrompt>>} [prompts] Prompt templates replacing the ones
+ *     of DEFAULT_PROMPTS with the same name, e.g. {multi_chunk_reflect: {user: "..."}}.
+ * @property {string|string[]|Object<string, string|string[]>} [style] Style profiles, formal, informal, marketing,
+ *     technical or ui, or the profiles of each target language keyed on the language, e.g. {German: 'formal'}.
+ * @property {string} [domain] Domain of the text, e.g. "medical devices", given to every stage.
+ * @property {string} [audience] Readers of the translation, e.g. "children", given to every stage.
+ * @property {number} [max_length] Maximum number of characters of each translated string, for UI strings.
+ * @property {boolean} [details] Return a TranslationResult with the chunks, their intermediate texts, token usage and latency
+ *     instead of the translation alone.
+ * @property {AbortSignal|null} [signal] Stops the translation when aborted, given to every model call.
+ * @property {number|null} [timeout_ms] Time the whole translate() call may take.
+ * @property {number|null} [call_timeout_ms] Time each attempt of a model call may take.
+ * @property {number|null} [max_total_tokens] Tokens the call may use, as reported by the models, checked before
+ *     every stage and model call.
+ * @property {number|null} [max_cost] Estimated cost the call may reach, priced with pricing.
+ * @property {import("./limits.js").Pricing|null} [pricing] Price of a million prompt and completion tokens.
+ */
+
+/**
+ * @typedef {object} ChunkDetails
+ * @property {string} source Source text of the chunk.
+ * @property {string} draft Initial translation.
+ * @property {{reflection: string, translation: string|null}[]} rounds Reflection of each round and the translation it
+ *     led to, null when refining stopped at that reflection.
+ * @property {string|null} reflection Last reflection, null without reflection rounds.
+ * @property {string} final Final translation.
+ * @property {boolean} from_memory Whether the translation was reused from the translation memory.
+ * @property {string[]} retranslations Translations made again after failing validation.
+ * @property {import("./validation.js").ValidationResult|null} validation Outcome of the validation, null when the chunk
+ *     was not validated.
+ */
+
+/**
+ * @typedef {object} TokenUsage
+ * @property {number} prompt_tokens
+ * @property {number} completion_tokens
+ * @property {number} total_tokens
+ * @property {{stage: string, index: number, prompt_tokens: number, completion_tokens: number, total_tokens: number}[]} calls
+ *     Usage of every model call, as reported by the model, in completion order.
+ */
+
+/**
+ * @typedef {object} TranslationResult
+ * @property {string|object} translation What translate() returns without the details option.
+ * @property {string} source_lang Source language, given or detected.
+ * @property {import("./detect.js").LanguageDetection|null} detection How the source language was detected,
+ *     null when it was given.
+ * @property {ChunkDetails[]} chunks Chunks the pipeline ran on, text chunks, document segments or batches of strings.
+ * @property {number[]} flagged Indexes of the chunks whose translation failed validation.
+ * @property {import("./glossary.js").GlossaryViolation[]} glossary_violations Glossary terms whose required
+ *     translation is missing from the translation of their chunk.
+ * @property {{segment_index: number, placeholders: string[]}[]} [missing_placeholders] Markdown and HTML documents:
+ *     the spans of each segment whose placeholder the model dropped, left out of the translation.
+ * @property {import("./formats/localization.js").LocalizationIssue[]} [localization_issues] Localization files: the
+ *     strings missing from the model output or whose placeholders changed.
+ * @property {import("./formats/subtitles.js").SubtitleIssue[]} [subtitle_issues] Subtitles: the cues missing from the
+ *     model output or needing more than max_lines lines.
+ * @property {TokenUsage} usage
+ * @property {number} latency_ms Total time of the call.
+ */
+
+/** @type {TranslatorOptions} */
+const DEFAULT_OPTIONS = {
+    model: null,
+    stage_models: {},
+    encoding_name: null,
+    max_tokens: null,
+    chunk_overlap: 0,
+    country: "",
+    source_lang: null,
+    detect_with_model: false,
+    target_lang: null,
+    reflection_rounds: DEFAULT_REFLECTION_ROUNDS,
+    stop_when_no_issues: false,
+    validate: false,
+    quality_score: false,
+    min_quality_score: DEFAULT_MIN_QUALITY_SCORE,
+    validation_retries: DEFAULT_VALIDATION_RETRIES,
+    length_ratio: DEFAULT_LENGTH_RATIO,
+    hooks: {},
+    concurrency: DEFAULT_CONCURRENCY,
+    max_retries: DEFAULT_MAX_RETRIES,
+    retry_delay_ms: DEFAULT_RETRY_DELAY_MS,
+    glossary: null,
+    format: 'text',
+    batch_size: DEFAULT_BATCH_SIZE,
+    max_line_length: DEFAULT_MAX_LINE_LENGTH,
+    max_lines: DEFAULT_MAX_LINES,
+    logger: null,
+    memory: null,
+    prompts: {},
+    style: [],
+    domain: "",
+    audience: "",
+    max_length: null,
+    details: false,
+    signal: null,
+    timeout_ms: null,
+    call_timeout_ms: null,
+    max_total_tokens: null,
+    max_cost: null,
+    pricing: null,
+}
+
+/**
+ * @typedef {object} TranslationEstimate
+ * @property {number} tokens Tokens of the source text.
+ * @property {number} chunk_size Balanced chunk size for the text, from calculate_chunk_size().
+ * @property {number} chunks Number of chunks the pipeline would run on.
+ * @property {number} model_calls Number of model calls for every target language, without early stops, retries,
+ *     validation retries, translation memory hits or language detection.
+ */
+
+/**
+ * A translator configured once and reused for many texts.
+ *
+ * Every option given to the constructor can be overridden for a single call of translate().
+ */
+export default class Translator {
+    /**
+     * @param {TranslatorOptions} options
+     */
+    constructor(options = {}) {
+        this.options = resolve_options(DEFAULT_OPTIONS, options)
+    }
+
+    /**
+     * Translate the text with the configured options.
+     *
+     * Without a source language, it is detected from the text first. Given several target languages, the
+     * source is parsed and split once and translated into each of them in turn.
+     *
+     * Aborting the signal, running out of time or reaching the token or cost limit throws a TranslationStoppedError
+     * carrying what was completed so far as its partial property.
+     * @param {string|object} source_text The text to be translated, a JSON bundle may also be given as an object.
+     * @param {TranslatorOptions} overrides Options used for this call only.
+     * @return {Promise<string|object|TranslationResult|Object<string, string|object|TranslationResult>>} translation,
+     *     an object for a JSON bundle given as an object, a TranslationResult with the details option,
+     *     one of them per language keyed on the language when target_lang is an array.
+     */
+    async translate(source_text, overrides = {}) {
+        const options = resolve_call_options(this.options, overrides)
+        validate_options(options)
+        const started = Date.now()
+        const models = {}
+        for (const stage of MODEL_STAGES) {
+            models[stage] = await this.getModel(options, stage)
+        }
+        const multiple_targets = Array.isArray(options.target_lang)
+        const target_langs = multiple_targets ? options.target_lang : [options.target_lang]
+        // recorded even without the details option, for the partial results of a stopped run
+        const recorders = target_langs.map(() => new DetailsRecorder())
+        const limits = new RunLimits(options)
+        const source = prepare_source(source_text, options)
+        let detection = null
+        let source_lang = options.source_lang
+        let current = -1
+        const results = {}
+        try {
+            if (!source_lang) {
+                // the detection call is counted in the usage of the first target language
+                const hooks = combine_hooks(options.hooks, recorders[0].hooks)
+                detection = await detect_source_language(models.initial, source.chunks, {...options, hooks, limits})
+                source_lang = detection.language
+            }
+            for (const [i, target_lang] of target_langs.entries()) {
+                current = i
+                const target_started = i === 0 ? started : Date.now()
+                let hooks = combine_hooks(options.hooks, recorders[i].hooks)
+                if (multiple_targets) {
+                    hooks = with_target_lang(hooks, target_lang)
+                }
+                const target_options = {...options, ...language_options(options, target_lang), source_lang, target_lang, hooks, limits}
+                const prepared = source.for_target ? await source.for_target(target_options) : source
+                const translations = await translate_chunks(models, prepared.chunks, target_options, prepared.pipeline_overrides)
+                const translation = prepared.render(translations, target_options)
+                results[target_lang] = options.details
+                    ? {translation, source_lang, detection, ...recorders[i].details(), latency_ms: Date.now() - target_started}
+                    : translation
+            }
+        } catch (e) {
+            if (e instanceof TranslationStoppedError) {
+                e.partial = {
+                    translations: results,
+                    target_lang: current >= 0 ? target_langs[current] : null,
+                    chunks: current >= 0 ? recorders[current].chunks : [],
+                    glossary_violations: partial_glossary_violations(options, target_langs.slice(0, current + 1), recorders),
+                    usage: total_usage(recorders),
+                }
+            }
+            throw e
+        }
+        return multiple_targets ? results : results[options.target_lang]
+    }
+
+    /**
+     * Estimate the work of translating the text without calling any model.
+     * @param {string|object} source_text
+     * @param {TranslatorOptions} overrides Options used for this call only.
+     * @return {TranslationEstimate}
+     */
+    estimate(source_text, overrides = {}) {
+        const options = resolve_call_options(this.options, overrides)
+        const {encoding_name, max_tokens, format} = options
+        const text = typeof source_text === 'string' ? source_text : JSON.stringify(source_text)
+        const tokens = num_tokens_in_string(text, encoding_name)
+        const target_count = Array.isArray(options.target_lang) ? options.target_lang.length : 1
+        let chunks
+        if (DOCUMENT_FORMATS.includes(format)) {
+            chunks = parse_document(source_text, format).filter(part => part.translatable).length
+        } else if (SUBTITLE_FORMATS.includes(format)) {
+            chunks = batch_units(parse_subtitles(source_text, format).units, max_tokens, encoding_name, options.batch_size).length
+        } else if (LOCALIZATION_FORMATS.includes(format)) {
+            chunks = batch_units(parse_localization(source_text, format).units, max_tokens, encoding_name, options.batch_size).length
+        } else {
+            chunks = split_text(source_text, max_tokens, encoding_name, options.chunk_overlap, Boolean(options.memory)).length
+        }
+        return {
+            tokens,
+            chunk_size: calculate_chunk_size(tokens, max_tokens),
+            chunks,
+            model_calls: chunks * (1 + 2 * options.reflection_rounds + (options.quality_score ? 1 : 0)) * target_count,
+        }
+    }
+
+    /**
+     * Translate the text like translate(), reporting progress as it goes.
+     *
+     * Yields an event for every hook call, its type being the hook name without "on_", e.g.
+     * {type: 'stage_start', stage, round, total} or {type: 'chunk', stage, round, index, total, text},
+     * and finally {type: 'done', translation}, translation being what translate() returns.
+     * With several target languages, every event but the last one and language_detected carries its target_lang.
+     * Hooks given in the options are still called. Breaking out of the iteration stops the translation.
+     * @param {string|object} source_text The text to be translated.
+     * @param {TranslatorOptions} overrides Options used for this call only.
+     * @return {AsyncGenerator<{type: string}>}
+     */
+    async *stream(source_text, overrides = {}) {
+        const {hooks: user_hooks, signal} = resolve_options(this.options, overrides)
+        // stops the translation when the consumer stops iterating
+        const controller = new AbortController()
+        const events = []
+        let wake_up = null
+        const push = event => {
+            events.push(event)
+            wake_up?.()
+        }
+        const stream_hooks = {}
+        for (const name of HOOK_NAMES) {
+            stream_hooks[name] = event => push({type: name.slice('on_'.length), ...event})
+        }
+        const hooks = combine_hooks(user_hooks, stream_hooks)
+        let failure = null
+        const run_signal = signal ? AbortSignal.any([signal, controller.signal]) : controller.signal
+        this.translate(source_text, {...overrides, hooks, signal: run_signal}).then(
+            translation => push({type: 'done', translation}),
+            error => {
+                failure = error
+                push(null)
+            })
+        try {
+            for (;;) {
+                while (events.length > 0) {
+                    const event = events.shift()
+                    if (event === null) {
+                        throw failure
+                    }
+                    yield event
+                    if (event.type === 'done') {
+                        return
+                    }
+                }
+                await new Promise(resolve => wake_up = resolve)
+                wake_up = null
+            }
+        } finally {
+            controller.abort()
+        }
+    }
+
+    /**
+     * Return the model of a stage, creating models given as configs on first use.
+     * @param {TranslatorOptions} options
+     * @param {string} stage initial, reflect or improve.
+     * @return {Promise<BaseChatModel>}
+     */
+    async getModel(options, stage = 'initial') {
+        const spec = stage_model_spec(options, stage)
+        if (spec instanceof BaseChatModel) {
+            return spec
+        }
+        if (!this.models) {
+            this.models = new Map()
+        }
+        if (!this.models.has(spec)) {
+            const created = create_model(spec)
+            this.models.set(spec, created)
+            // a failed creation, e.g. a missing API key or provider package, is retried on the next call
+            created.catch(() => this.models.delete(spec))
+        }
+        return this.models.get(spec)
+    }
+}
+
+/**
+ * Run the translation pipeline over the chunks, one chunk uses the single chunk prompts.
+ *
+ * With a translation memory, chunks translated before are reused and the others are recorded once translated.
+ * @param {Object<string, BaseChatModel>} models Model of each stage.
+ * @param {string[]} source_text_chunks
+ * @param {TranslatorOptions} options
+ * @param {import("./pipeline.js").PipelineOptions} pipeline_overrides Pipeline options set by the caller rather than the user.
+ * @return {Promise<string[]>} One translation per chunk.
+ */
+async function translate_chunks(models, source_text_chunks, options, pipeline_overrides = {}) {
+    const {source_lang, target_lang, country} = options
+    const model = models.initial
+    const pipeline_options = {
+        reflection_rounds: options.reflection_rounds,
+        stop_when_no_issues: options.stop_when_no_issues,
+        validate: options.validate,
+        quality_score: options.quality_score,
+        min_quality_score: options.min_quality_score,
+        validation_retries: options.validation_retries,
+        length_ratio: options.length_ratio,
+        hooks: options.hooks,
+        concurrency: options.concurrency,
+        max_retries: options.max_retries,
+        retry_delay_ms: options.retry_delay_ms,
+        glossary: normalize_glossary(options.glossary),
+        logger: options.logger,
+        limits: options.limits ?? null,
+        stage_models: models,
+        prompts: resolve_prompts(options.prompts),
+        style_instructions: style_instruction(options),
+        ...pipeline_overrides,
+    }
+    call_hook(options.hooks, 'on_split', {chunks: source_text_chunks})
+    const total = source_text_chunks.length
+    const {memory} = options
+    const scope = memory_scope(options)
+    const matches = memory ? await memory.lookup(source_text_chunks, scope) : []
+    const reused_translations = matches.map(match => match.translation)
+    pipeline_options.reused_translations = reused_translations
+    pipeline_options.reference_translations = new Map(matches.map((match, i) => [source_text_chunks[i], match.references]))
+    reused_translations.forEach((text, index) => {
+        if (text !== undefined) {
+            call_hook(options.hooks, 'on_chunk_done', {index, total, text, from_memory: true})
+        }
+    })
+    const flagged = new Set()
+    pipeline_options.hooks = combine_hooks(options.hooks, {
+        on_validation: ({index, passed}) => {
+            if (!passed) {
+                flagged.add(index)
+            }
+        },
+    })
+    let translation_2_chunks
+    if (total === 0 || reused_translations.filter(text => text !== undefined).length === total) {
+        translation_2_chunks = [...reused_translations]
+    } else if (total === 1) {
+        translation_2_chunks = [await one_chunk_translate_text(model, source_lang, target_lang, source_text_chunks[0], country, pipeline_options)]
+    } else {
+        translation_2_chunks = await multi_chunk_translation(model, source_lang, target_lang, source_text_chunks, country, pipeline_options)
+    }
+    if (memory) {
+        for (let i = 0; i < total; i++) {
+            // translations that failed validation are not reused
+            if (reused_translations[i] === undefined && !flagged.has(i)) {
+                await memory.record(source_text_chunks[i], translation_2_chunks[i], scope)
+            }
+        }
+    }
+    if (pipeline_options.glossary) {
+        const violations = check_glossary(pipeline_options.glossary, source_text_chunks, translation_2_chunks)
+        call_hook(options.hooks, 'on_glossary_check', {violations})
+    }
+    return translation_2_chunks
+}
+
+/**
+ * Scope of the translation memory entries of a target language: translations of other models, prompts or glossaries
+ * are not reused.
+ * @param {TranslatorOptions} options
+ * @return {import("./memory.js").MemoryScope}
+ */
+function memory_scope(options) {
+    const {source_lang, target_lang, country} = options
+    // the validate stage model only judges translations, it does not change them
+    const translation_stages = MODEL_STAGES.filter(stage => stage !== 'validate')
+    const model_names = [...new Set(translation_stages.map(stage => model_profile(stage_model_spec(options, stage)).name))]
+    const glossary = glossary_version(normalize_glossary(options.glossary))
+    const version = `${model_names.join('+')}@${prompt_version(options.prompts, style_instruction(options))}${glossary ? `+glossary-${glossary}` : ""}`
+    return {source_lang, target_lang, country, version}
+}
+
+/**
+ * Source text parsed and split into the chunks of the pipeline, shared by every target language.
+ * @typedef {object} PreparedSource
+ * @property {string[]} chunks
+ * @property {import("./pipeline.js").PipelineOptions} pipeline_overrides Pipeline options set for the format.
+ * @property {function(string[], TranslatorOptions): string|object} render Build the translation from the
+ *     translations of the chunks.
+ * @property {function(TranslatorOptions): Promise<PreparedSource>} [for_target] Split the source again for a
+ *     target language.
+ */
+
+/**
+ * Parse and split the source text for its format.
+ * @param {string|object} source_text
+ * @param {TranslatorOptions} options
+ * @return {PreparedSource}
+ */
+function prepare_source(source_text, options) {
+    const {encoding_name, max_tokens, format} = options
+    if (DOCUMENT_FORMATS.includes(format)) {
+        return prepare_document(source_text, options)
+    }
+    if (LOCALIZATION_FORMATS.includes(format)) {
+        return prepare_localization(source_text, options)
+    }
+    if (SUBTITLE_FORMATS.includes(format)) {
+        return prepare_subtitles(source_text, options)
+    }
+    options.logger?.debug(`num_tokens_in_text = ${num_tokens_in_string(source_text, encoding_name)}`)
+    if (options.memory) {
+        return prepare_text_with_memory(source_text, options)
+    }
+    return prepare_text(source_text, split_text(source_text, max_tokens, encoding_name, options.chunk_overlap))
+}
+
+/**
+ * @param {string} source_text
+ * @param {import("./chunker.js").TextChunk[]} chunks
+ * @return {PreparedSource}
+ */
+function prepare_text(source_text, chunks) {
+    return {
+        chunks: chunks.map(chunk => chunk.text),
+        pipeline_overrides: {
+            chunk_context: chunks.map(chunk => ({
+                before: source_text.slice(chunk.context_start, chunk.start),
+                after: source_text.slice(chunk.end, chunk.context_end),
+            })),
+        },
+        render: translations => join_chunks(source_text, chunks, translations),
+    }
+}
+
+/**
+ * Prepare a text translated with a translation memory.
+ *
+ * Chunks end at paragraph breaks, and the paragraphs found in the memory of a target language become chunks of their
+ * own, the others being chunked again: editing a paragraph does not move the chunks of the paragraphs around it.
+ * @param {string} source_text
+ * @param {TranslatorOptions} options
+ * @return {PreparedSource}
+ */
+function prepare_text_with_memory(source_text, options) {
+    const {encoding_name, max_tokens, chunk_overlap} = options
+    const split = (start, end) => split_text(source_text.slice(start, end), max_tokens, encoding_name, chunk_overlap, true)
+        .map(chunk => ({
+            text: chunk.text,
+            start: chunk.start + start,
+            end: chunk.end + start,
+            context_start: chunk_overlap > 0 ? chunk.context_start + start : 0,
+            context_end: chunk_overlap > 0 ? chunk.context_end + start : source_text.length,
+        }))
+    return {
+        ...prepare_text(source_text, split(0, source_text.length)),
+        for_target: async target_options => {
+            const paragraphs = split_paragraphs(source_text)
+            const matches = await options.memory.lookup(paragraphs.map(([start, end]) => source_text.slice(start, end)), memory_scope(target_options))
+            const chunks = []
+            let run = null
+            paragraphs.forEach(([start, end], i) => {
+                if (matches[i].translation === undefined) {
+                    run = run ? [run[0], end] : [start, end]
+                    return
+                }
+                if (run) {
+                    chunks.push(...split(...run))
+                    run = null
+                }
+                chunks.push({text: source_text.slice(start, end), start, end, context_start: 0, context_end: source_text.length})
+            })
+            if (run) {
+                chunks.push(...split(...run))
+            }
+            return prepare_text(source_text, chunks)
+        },
+    }
+}
+
+/**
+ * Prepare the text nodes of a Markdown or HTML document, reassembled with the same structure once translated.
+ *
+ * Each text segment is a chunk of the multi chunk pipeline, with its neighbouring segments as context.
+ * @param {string} source_text
+ * @param {TranslatorOptions} options
+ * @return {PreparedSource}
+ */
+function prepare_document(source_text, options) {
+    const parts = parse_document(source_text, options.format)
+    const segments = parts.filter(part => part.translatable)
+    const pipeline_overrides = {chunk_separator: "\n\n", context_chunks: DOCUMENT_CONTEXT_CHUNKS}
+    if (segments.some(segment => segment.placeholders.length > 0)) {
+        pipeline_overrides.instructions = PLACEHOLDER_INSTRUCTION
+        pipeline_overrides.checks = [placeholder_check]
+    }
+    return {
+        chunks: segments.map(segment => segment.text),
+        pipeline_overrides,
+        render: (translations, target_options) => {
+            const {text, missing} = render_document(parts, translations)
+            call_hook(target_options.hooks, 'on_placeholder_check', {missing})
+            return text
+        },
+    }
+}
+
+/**
+ * Prepare the strings of a JSON bundle, PO file or XLIFF file, whose target strings are filled in once translated.
+ *
+ * Short strings are batched into chunks of the pipeline, each batch with its neighbours as context.
+ * Strings missing from the model output are left untranslated, and they are reported together with
+ * the strings whose placeholders were dropped or changed.
+ * @param {string|object} content
+ * @param {TranslatorOptions} options
+ * @return {PreparedSource}
+ */
+function prepare_localization(content, options) {
+    const parsed = parse_localization(content, options.format)
+    const {units} = parsed
+    const batches = batch_units(units, options.max_tokens, options.encoding_name, options.batch_size)
+    return {
+        chunks: batches.map(batch => format_batch(batch.map(i => units[i]))),
+        pipeline_overrides: {
+            chunk_separator: "\n",
+            context_chunks: 1,
+            instructions: LOCALIZATION_INSTRUCTION,
+        },
+        render: (translated_chunks, target_options) => {
+            const translations = unbatch(batches, translated_chunks, units.length)
+            const issues = []
+            units.forEach((unit, i) => {
+                if (translations[i] === undefined) {
+                    issues.push({id: unit.id, problem: 'missing'})
+                    return
+                }
+                const mismatch = check_placeholders(unit.source, translations[i])
+                if (mismatch) {
+                    issues.push({id: unit.id, problem: 'placeholders', ...mismatch})
+                }
+            })
+            call_hook(target_options.hooks, 'on_localization_check', {issues})
+            return render_localization(parsed, target_options.format, translations)
+        },
+    }
+}
+
+/**
+ * Prepare the cues of SRT or WebVTT subtitles, written back with the same cues and timings once translated.
+ *
+ * Cues are batched into chunks of the multi chunk pipeline like the strings of localization files, each batch with
+ * its neighbours as context. With validation, batches with cues missing or not fitting in the line limits are
+ * translated again, the cues still missing or too long are reported.
+ * @param {string} content
+ * @param {TranslatorOptions} options
+ * @return {PreparedSource}
+ */
+function prepare_subtitles(content, options) {
+    const {max_line_length, max_lines} = options
+    const file = parse_subtitles(content, options.format)
+    const batches = batch_units(file.units, options.max_tokens, options.encoding_name, options.batch_size)
+    return {
+        chunks: batches.map(batch => format_batch(batch.map(i => file.units[i]))),
+        pipeline_overrides: {
+            chunk_separator: "\n",
+            context_chunks: 1,
+            instructions: subtitle_instruction(max_line_length, max_lines),
+            checks: [subtitle_check(max_line_length, max_lines)],
+        },
+        render: (translated_chunks, target_options) => {
+            const translations = unbatch(batches, translated_chunks, file.units.length)
+            const {text, issues} = render_subtitles(file, translations, max_line_length, max_lines)
+            call_hook(target_options.hooks, 'on_subtitle_check', {issues})
+            return text
+        },
+    }
+}
+
+/**
+ * Detect the language of the source chunks, asking the model when the text alone is not conclusive
+ * and detect_with_model is set.
+ * @param {BaseChatModel} model
+ * @param {string[]} chunks
+ * @param {TranslatorOptions} options
+ * @return {Promise<import("./detect.js").LanguageDetection>}
+ */
+async function detect_source_language(model, chunks, options) {
+    const text = chunks.join("\n\n")
+    let detection = detect_language(text)
+    if ((!detection.language || detection.confidence < MIN_DETECTION_CONFIDENCE) && options.detect_with_model) {
+        const sample = text.replace(/<[^>]*>/g, " ").slice(0, MODEL_DETECTION_SAMPLE_LENGTH)
+        const language = await model_detect_language(model, sample, {
+            hooks: options.hooks,
+            max_retries: options.max_retries,
+            retry_delay_ms: options.retry_delay_ms,
+            prompts: resolve_prompts(options.prompts),
+            limits: options.limits,
+        })
+        detection = {language, confidence: null, method: 'model'}
+    }
+    if (!detection.language || (detection.confidence !== null && detection.confidence < MIN_DETECTION_CONFIDENCE)) {
+        throw new Error(`could not detect the source language, set source_lang or detect_with_model`)
+    }
+    options.logger?.debug(`detected source language: ${detection.language} (${detection.method})`)
+    call_hook(options.hooks, 'on_language_detected', detection)
+    return detection
+}
+
+/**
+ * Wrap hooks so that every event also carries the target language it is about.
+ * @param {import("./pipeline.js").TranslationHooks} hooks
+ * @param {string} target_lang
+ * @return {import("./pipeline.js").TranslationHooks}
+ */
+function with_target_lang(hooks, target_lang) {
+    const wrapped = {}
+    for (const name of HOOK_NAMES) {
+        wrapped[name] = event => call_hook(hooks, name, {...event, target_lang})
+    }
+    return wrapped
+}
+
+/**
+ * Token usage of every target language of a call together.
+ * @param {DetailsRecorder[]} recorders
+ * @return {TokenUsage}
+ */
+function total_usage(recorders) {
+    const usage = {prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, calls: []}
+    for (const recorder of recorders) {
+        usage.prompt_tokens += recorder.usage.prompt_tokens
+        usage.completion_tokens += recorder.usage.completion_tokens
+        usage.total_tokens += recorder.usage.total_tokens
+        usage.calls.push(...recorder.usage.calls)
+    }
+    return usage
+}
+
+/**
+ * Collect the chunks, their intermediate translations and the token usage of a call from the pipeline hooks.
+ */
+class DetailsRecorder {
+    constructor() {
+        /** @type {ChunkDetails[]} */
+        this.chunks = []
+        /** @type {TokenUsage} */
+        this.usage = {prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, calls: []}
+        /** @type {import("./glossary.js").GlossaryViolation[]|null} null until the run is over. */
+        this.glossary_violations = null
+        /** Issues found once the translation of a format is rendered, set by the hook of the format. */
+        this.format_issues = {}
+        /** @type {import("./pipeline.js").TranslationHooks} */
+        this.hooks = {
+            on_split: ({chunks}) => {
+                this.chunks = chunks.map(source => ({
+                    source,
+                    draft: "",
+                    rounds: [],
+                    reflection: null,
+                    final: "",
+                    from_memory: false,
+                    retranslations: [],
+                    validation: null,
+                }))
+            },
+            on_chunk: ({stage, round, index, text}) => {
+                const chunk = this.chunks[index]
+                if (stage === 'initial') {
+                    chunk.draft = text
+                } else if (stage === 'reflect') {
+                    chunk.rounds[round - 1] = {reflection: text, translation: null}
+                    chunk.reflection = text
+                } else if (stage === 'retry') {
+                    chunk.retranslations.push(text)
+                } else {
+                    chunk.rounds[round - 1].translation = text
+                }
+            },
+            on_chunk_done: ({index, text, from_memory = false}) => {
+                this.chunks[index].final = text
+                this.chunks[index].from_memory = from_memory
+            },
+            on_validation: ({index, passed, issues, score, retries}) => {
+                this.chunks[index].validation = {passed, issues, score, retries}
+            },
+            on_usage: call => {
+                this.usage.prompt_tokens += call.prompt_tokens
+                this.usage.completion_tokens += call.completion_tokens
+                this.usage.total_tokens += call.total_tokens
+                this.usage.calls.push(call)
+            },
+            on_glossary_check: ({violations}) => {
+                this.glossary_violations = violations
+            },
+            on_placeholder_check: ({missing}) => {
+                this.format_issues.missing_placeholders = missing
+            },
+            on_localization_check: ({issues}) => {
+                this.format_issues.localization_issues = issues
+            },
+            on_subtitle_check: ({issues}) => {
+                this.format_issues.subtitle_issues = issues
+            },
+        }
+    }
+
+    /**
+     * @return {Omit<TranslationResult, 'translation'|'source_lang'|'detection'|'latency_ms'>}
+     */
+    details() {
+        const flagged = this.chunks.flatMap((chunk, i) => chunk.validation?.passed === false ? [i] : [])
+        return {
+            chunks: this.chunks,
+            flagged,
+            glossary_violations: this.glossary_violations ?? [],
+            ...this.format_issues,
+            usage: this.usage,
+        }
+    }
+}
+
+/**
+ * Glossary violations of each target language of a stopped run, the one being translated checked on its finished chunks.
+ * @param {TranslatorOptions} options
+ * @param {string[]} target_langs Target languages started before the run stopped.
+ * @param {DetailsRecorder[]} recorders
+ * @return {Object<string, import("./glossary.js").GlossaryViolation[]>}
+ */
+function partial_glossary_violations(options, target_langs, recorders) {
+    return Object.fromEntries(target_langs.map((target_lang, i) => {
+        const {chunks, glossary_violations} = recorders[i]
+        if (glossary_violations) {
+            return [target_lang, glossary_violations]
+        }
+        const glossary = normalize_glossary(glossary_for_language(options.glossary, target_lang))
+        // unfinished chunks are checked as empty, without terms
+        return [target_lang, check_glossary(glossary, chunks.map(chunk => chunk.final ? chunk.source : ""), chunks.map(chunk => chunk.final))]
+    }))
+}
+
+/**
+ * Check the options of a call before any model is created.
+ * @param {TranslatorOptions} options
+ */
+function validate_options(options) {
+    const {target_lang, format} = options
+    const target_langs = [target_lang ?? []].flat()
+    if (target_langs.length === 0 || target_langs.some(language => typeof language !== 'string' || !language)) {
+        throw new Error(`target_lang is required, got ${JSON.stringify(target_lang)}`)
+    }
+    if (new Set(target_langs).size !== target_langs.length) {
+        throw new Error(`target_lang has duplicate languages: ${target_langs.join(", ")}`)
+    }
+    if (target_langs.length > 1 && options.glossary && !is_glossary_by_language(options.glossary)) {
+        throw new Error(`a glossary applies to a single target language, give one per language instead, e.g. {${target_langs[0]}: glossary}`)
+    }
+    if (!Number.isInteger(options.reflection_rounds) || options.reflection_rounds < 0) {
+        throw new Error(`reflection_rounds must be a non-negative integer, got ${options.reflection_rounds}`)
+    }
+    for (const name of ['concurrency', 'batch_size', 'max_line_length', 'max_lines']) {
+        if (!Number.isInteger(options[name]) || options[name] < 1) {
+            throw new Error(`${name} must be a positive integer, got ${options[name]}`)
+        }
+    }
+    const {length_ratio} = options
+    if (!Array.isArray(length_ratio) || length_ratio.length !== 2 || !length_ratio.every(ratio => typeof ratio === 'number' && ratio > 0)) {
+        throw new Error(`length_ratio must be the minimum and maximum ratios, e.g. [0.33, 3], got ${JSON.stringify(length_ratio)}`)
+    }
+    for (const name of ['timeout_ms', 'call_timeout_ms', 'max_total_tokens', 'max_cost']) {
+        if (options[name] !== null && !(typeof options[name] === 'number' && options[name] > 0)) {
+            throw new Error(`${name} must be a positive number, got ${options[name]}`)
+        }
+    }
+    if (options.max_cost !== null && !options.pricing) {
+        throw new Error(`max_cost needs pricing, the price of a million prompt and completion tokens`)
+    }
+    if (format !== 'text' && ![...DOCUMENT_FORMATS, ...LOCALIZATION_FORMATS, ...SUBTITLE_FORMATS].includes(format)) {
+        throw new Error(`unsupported format: ${format}`)
+    }
+}
+
+/**
+ * Glossary and style of a target language, both options being either shared or given per target language.
+ * @param {TranslatorOptions} options
+ * @param {string} target_lang
+ * @return {{glossary: *, style: string|string[]}}
+ */
+function language_options(options, target_lang) {
+    const {style} = options
+    const by_language = style !== null && typeof style === 'object' && !Array.isArray(style)
+    return {
+        glossary: glossary_for_language(options.glossary, target_lang),
+        style: by_language ? style[target_lang] ?? [] : style,
+    }
+}
+
+/**
+ * Model spec of a stage, its stage model, the model option or the default model.
+ * @param {TranslatorOptions} options
+ * @param {string} stage
+ * @return {import("./models.js").ModelSpec}
+ */
+function stage_model_spec(options, stage) {
+    return options.stage_models?.[stage] ?? options.model ?? DEFAULT_MODEL
+}
+
+/**
+ * Resolve the options of a call, the tokenizer and chunk budget defaulting to the ones of the initial stage model.
+ * @param {TranslatorOptions} base
+ * @param {TranslatorOptions} overrides
+ * @return {TranslatorOptions}
+ */
+function resolve_call_options(base, overrides) {
+    const options = resolve_options(base, overrides)
+    if (!options.encoding_name || !options.max_tokens) {
+        const profile = model_profile(stage_model_spec(options, 'initial'))
+        options.encoding_name = options.encoding_name ?? profile.encoding_name
+        options.max_tokens = options.max_tokens ?? profile.max_tokens
+    }
+    return options
+}
+
+/**
+ * Merge options over base, undefined values falling back to base while null turns an option off, e.g. the logger.
+ *
+ * Only the options that are null by default can be set to null.
+ * @param {TranslatorOptions} base
+ * @param {TranslatorOptions} options
+ * @return {TranslatorOptions}
+ */
+function resolve_options(base, options) {
+    const resolved = {...base}
+    for (const [key, value] of Object.entries(options)) {
+        if (value === null && key in DEFAULT_OPTIONS && DEFAULT_OPTIONS[key] !== null) {
+            throw new Error(`${key} cannot be null, leave it undefined to keep its value`)
+        }
+        if (value !== undefined) {
+            resolved[key] = value
+        }
+    }
+    return resolved
+}
@@ -0,0 +1,228 @@
+import {detect_language, expected_script, MIN_DETECTION_CONFIDENCE, script_shares} from "./detect.js";
+
+/** Bounds of the length of a translation relative to its source, beyond which it is probably truncated or padded. */
+export const DEFAULT_LENGTH_RATIO = [0.33, 3]
+export const DEFAULT_VALIDATION_RETRIES = 1
+export const DEFAULT_MIN_QUALITY_SCORE = 75
+
+/** Sources shorter than this, in characters, are not checked for length, their ratio being mostly noise. */
+const MIN_LENGTH_CHECKED = 20
+/** Translations shorter than this, in letters, are not checked for their script. */
+const MIN_SCRIPT_CHECKED = 10
+/** Translations shorter than this, in characters, are not checked for being left in the source language. */
+const MIN_LANGUAGE_CHECKED = 100
+/** Tags of the prompts that must not end up in a translation. */
+const PROMPT_TAGS = /<\/?(?:TRANSLATE_THIS|SOURCE_TEXT|TRANSLATION|EXPERT_SUGGESTIONS|REFERENCE|TEXT)>/
+
+/** MQM penalty of each error severity. */
+const SEVERITY_PENALTIES = {minor: 1, major: 5, critical: 10}
+
+/**
+ * A problem found in the translation of a chunk.
+ * @typedef {object} ValidationIssue
+ * @property {'length'|'script'|'language'|'tags'|'numbers'|'urls'|'quality'|string} check Check that failed, e.g. lines
+ *     for the line limits of subtitles.
+ * @property {string} message What is wrong, written as feedback for the model retranslating the chunk.
+ */
+
+/**
+ * Outcome of the validation of a chunk.
+ * @typedef {object} ValidationResult
+ * @property {boolean} passed Whether the final translation passed every check.
+ * @property {ValidationIssue[]} issues Issues of the final translation.
+ * @property {number|null} score Quality score of the final translation, null when it was not scored.
+ * @property {number} retries Number of times the chunk was translated again.
+ */
+
+/**
+ * An error reported by the model scoring a translation.
+ * @typedef {object} QualityError
+ * @property {'minor'|'major'|'critical'} severity
+ * @property {string} category e.g. accuracy or fluency.
+ * @property {string} description
+ */
+
+/**
+ * Run the deterministic checks of a translation: its length relative to the source, its script, whether it
+ * was left in the source language, leftover prompt tags, and the numbers and URLs of the source.
+ * @param {string} source_text
+ * @param {string} translation
+ * @param {object} options
+ * @param {string} [options.source_lang]
+ * @param {string} [options.target_lang]
+ * @param {[number, number]} [options.length_ratio] Minimum and maximum length of the translation relative to the source.
+ * @return {ValidationIssue[]}
+ */
+export function check_translation(source_text, translation, options = {}) {
+    const {source_lang, target_lang, length_ratio = DEFAULT_LENGTH_RATIO} = options
+    const issues = []
+    const issue = (check, message) => issues.push({check, message})
+    const source = strip_tags(source_text)
+    const translated = strip_tags(translation)
+    const source_length = weighted_length(source)
+    const translation_length = weighted_length(translated)
+    if (translation.trim() === "") {
+        issue('length', `The translation is empty, translate the whole text.`)
+    } else if (source_length >= MIN_LENGTH_CHECKED) {
+        const ratio = translation_length / source_length
+        if (ratio < length_ratio[0]) {
+            issue('length', `The translation is much shorter than the source text, it seems truncated or to leave parts out. Translate the whole text.`)
+        } else if (ratio > length_ratio[1]) {
+            issue('length', `The translation is much longer than the source text. Output only the translation, without notes, explanations or alternatives.`)
+        }
+    }
+    const script = target_lang ? expected_script(target_lang) : null
+    const {letters} = script_shares(translated)
+    // a translation copying the source still fails, having no letter left
+    const {shares} = script_shares(without_source_words(translated, source))
+    if (script && letters >= MIN_SCRIPT_CHECKED && (shares.get(script) ?? 0) < 0.5) {
+        issue('script', `The translation is not written in the script of ${target_lang}. Translate the text into ${target_lang}.`)
+    } else if (source_lang && target_lang && translated.length >= MIN_LANGUAGE_CHECKED) {
+        const {language, confidence} = detect_language(translated)
+        if (language && confidence >= MIN_DETECTION_CONFIDENCE && same_language(language, source_lang) && !same_language(language, target_lang)) {
+            issue('language', `The translation is still in ${source_lang}. Translate the whole text into ${target_lang}.`)
+        }
+    }
+    const tag = translation.match(PROMPT_TAGS)
+    if (tag && !PROMPT_TAGS.test(source_text)) {
+        issue('tags', `The translation contains the ${tag[0]} tag of the prompt. Output only the translated text.`)
+    }
+    const missing_numbers = missing_numbers_of(source, translated)
+    if (missing_numbers.length > 0) {
+        issue('numbers', `The numbers ${missing_numbers.join(", ")} of the source text are missing from the translation or changed. Keep every number.`)
+    }
+    const missing_urls = urls(source).filter(url => !translated.includes(url))
+    if (missing_urls.length > 0) {
+        issue('urls', `The URLs ${missing_urls.join(", ")} are missing from the translation or changed. Keep them exactly as they are.`)
+    }
+    return issues
+}
+
+/**
+ * Read the errors listed by the model scoring a translation, one per line as "severity | category | description".
+ * @param {string} answer
+ * @return {QualityError[]}
+ */
+export function parse_quality_errors(answer) {
+    const errors = []
+    for (const line of answer.split("\n")) {
+        const match = line.match(/^\s*(?:[-*]\s*)?(minor|major|critical)\s*\|\s*([^|]*?)\s*\|\s*(.*?)\s*$/i)
+        if (match) {
+            errors.push({severity: match[1].toLowerCase(), category: match[2].toLowerCase(), description: match[3]})
+        }
+    }
+    return errors
+}
+
+/**
+ * MQM-style score of a translation, 100 minus its error penalties per 100 words of source text, at least 0.
+ *
+ * Minor errors cost 1, major errors 5 and critical errors 10. Han and kana characters count as words.
+ * @param {string} source_text
+ * @param {QualityError[]} errors
+ * @return {number}
+ */
+export function mqm_score(source_text, errors) {
+    const words = (strip_tags(source_text).match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{N}]+/gu) ?? []).length
+    const penalty = errors.reduce((sum, error) => sum + SEVERITY_PENALTIES[error.severity], 0)
+    return Math.max(0, 100 - penalty * 100 / Math.max(words, 1))
+}
+
+function strip_tags(text) {
+    return text.replace(/<[^>]*>/g, " ")
+}
+
+/**
+ * Length of a text without whitespace, wide characters counting twice as they carry more meaning each.
+ * @param {string} text
+ * @return {number}
+ */
+function weighted_length(text) {
+    let length = 0
+    for (const char of text.replace(/\s+/g, "")) {
+        length += /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(char) ? 2 : 1
+    }
+    return length
+}
+
+/**
+ * Whether a language name matches another one, e.g. "Portuguese" and "Brazilian Portuguese".
+ * @param {string} language
+ * @param {string} other
+ * @return {boolean}
+ */
+function same_language(language, other) {
+    return other.toLowerCase().split(/[^\p{L}]+/u).includes(language.toLowerCase())
+}
+
+/**
+ * Remove the words of the translation found as they are in the source, e.g. product names kept in a translation
+ * written in another script, words being runs of the scripts that separate them with spaces.
+ * @param {string} translation
+ * @param {string} source
+ * @return {string}
+ */
+function without_source_words(translation, source) {
+    const pattern = /[\p{Script=Latin}\p{Script=Cyrillic}\p{Script=Greek}\p{N}]+/gu
+    const words = new Set(source.match(pattern) ?? [])
+    return translation.replace(pattern, word => words.has(word) ? " " : word)
+}
+
+/**
+ * Numbers of the source missing from the translation, in the order of the source.
+ *
+ * Single digits are not checked, as they are often written out, e.g. "2 cats" and "两只猫", and the hour of a time
+ * of the 12-hour clock may be given on the 24-hour clock, e.g. "3 pm" and "15 Uhr".
+ * @param {string} source
+ * @param {string} translation
+ * @return {string[]}
+ */
+function missing_numbers_of(source, translation) {
+    const key = number => number.replace(/^0+(?=\d)/, "")
+    const hours = new Map()
+    for (const [, hour, , meridiem] of source.normalize('NFKC').matchAll(/\b(\d{1,2})(:\d{2})?\s*([ap])\.?\s?m\b/gi)) {
+        const pm = meridiem.toLowerCase() === 'p'
+        hours.set(key(hour), String((Number(hour) % 12) + (pm ? 12 : 0)))
+    }
+    const translated = numbers(translation).map(key)
+    const found = new Set(translated)
+    return missing(numbers(source).filter(number => key(number).length > 1), translated, number => {
+        const hour = hours.get(key(number))
+        return hour !== undefined && !found.has(key(number)) && found.has(hour) ? hour : key(number)
+    })
+}
+
+/**
+ * Runs of digits of a text, full-width digits normalized, outside of URLs.
+ *
+ * Numbers are compared by their runs of digits so that their separators and the order of the parts of a date
+ * may follow the conventions of the target language, e.g. 1,000.5 and 1.000,5, or 2024-01-02 and 02.01.2024.
+ * @param {string} text
+ * @return {string[]}
+ */
+function numbers(text) {
+    return text.normalize('NFKC').replace(/https?:\/\/\S+/g, " ").match(/\d+/g) ?? []
+}
+
+function urls(text) {
+    return (text.match(/https?:\/\/[^\s<>"'`)\]]+/g) ?? []).map(url => url.replace(/[.,;:!?]+$/, ""))
+}
+
+/**
+ * Items of the source missing from the translation, compared by key and counted, in the order of the source.
+ * @param {string[]} source_items
+ * @param {string[]} translation_items
+ * @param {function(string): string} key
+ * @return {string[]}
+ */
+function missing(source_items, translation_items, key) {
+    const counts = new Map()
+    for (const item of translation_items) {
+        counts.set(key(item), (counts.get(key(item)) ?? 0) + 1)
+    }
+    return source_items.filter(item => {
+        const count = counts.get(key(item)) ?? 0
+        counts.set(key(item), count - 1)
+        return count <= 0
+    })
+}
@@ -0,0 +1,74 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {calculate_chunk_size, num_tokens_in_string, split_text, Translator} from "../src/index.js";
+import {join_chunks} from "../src/chunker.js";
+
+const PARAGRAPHS = Array.from({length: 12}, (_, p) =>
+    Array.from({length: 5}, (_, s) => `Paragraph ${p} has sentence ${s}, which is about the weather in the mountains.`).join(" "),
+).join("\n\n")
+
+describe('calculate_chunk_size', () => {
+    it('keeps a text under the limit in one chunk', () => {
+        assert.equal(calculate_chunk_size(800, 1000), 800)
+        assert.equal(calculate_chunk_size(1000, 1000), 1000)
+    })
+
+    it('balances the chunks of a text over the limit', () => {
+        assert.equal(calculate_chunk_size(1000, 500), 500)
+        assert.equal(calculate_chunk_size(1530, 500), 389)
+        assert.equal(calculate_chunk_size(2048, 1000), 698)
+    })
+})
+
+describe('split_text', () => {
+    it('keeps every chunk under max_tokens, at sentence boundaries', () => {
+        const chunks = split_text(PARAGRAPHS, 120)
+        assert.ok(chunks.length > 1)
+        for (const chunk of chunks) {
+            assert.ok(num_tokens_in_string(chunk.text) <= 120)
+            assert.match(chunk.text, /\.$/)
+        }
+    })
+
+    it('uses the fewest chunks the limit allows', () => {
+        const tokens = num_tokens_in_string(PARAGRAPHS)
+        assert.equal(split_text(PARAGRAPHS, 120).length, Math.ceil(tokens / 120))
+        assert.equal(split_text(PARAGRAPHS, 400).length, Math.ceil(tokens / 400))
+    })
+
+    it('rebuilds the text from its chunks', () => {
+        const chunks = split_text(PARAGRAPHS, 120)
+        assert.equal(join_chunks(PARAGRAPHS, chunks, chunks.map(chunk => chunk.text)), PARAGRAPHS)
+    })
+
+    it('gives the whole text as context without overlap, a window of sentences with one', () => {
+        const whole = split_text(PARAGRAPHS, 120)
+        assert.ok(whole.every(chunk => chunk.context_start === 0 && chunk.context_end === PARAGRAPHS.length))
+        const overlapping = split_text(PARAGRAPHS, 120, undefined, 30)
+        const middle = overlapping[Math.floor(overlapping.length / 2)]
+        assert.ok(middle.context_start < middle.start && middle.start - middle.context_start < 200)
+        assert.ok(middle.context_end > middle.end && middle.context_end - middle.end < 200)
+    })
+
+    it('splits a sentence longer than max_tokens', () => {
+        const sentence = Array.from({length: 200}, (_, i) => `word${i}`).join(" ")
+        const chunks = split_text(sentence, 50)
+        assert.ok(chunks.length > 1)
+        assert.ok(chunks.every(chunk => num_tokens_in_string(chunk.text) <= 50))
+    })
+
+    it('returns no chunk for an empty text', () => {
+        assert.deepEqual(split_text("   ", 100), [])
+    })
+})
+
+describe('Translator.estimate', () => {
+    it('counts the chunks and model calls without calling the model', () => {
+        const translator = new Translator({source_lang: 'English', target_lang: 'German', max_tokens: 120})
+        const estimate = translator.estimate(PARAGRAPHS)
+        assert.equal(estimate.tokens, num_tokens_in_string(PARAGRAPHS))
+        assert.equal(estimate.chunks, split_text(PARAGRAPHS, 120).length)
+        assert.equal(estimate.model_calls, estimate.chunks * 3)
+        assert.equal(translator.estimate(PARAGRAPHS, {target_lang: ['German', 'French'], reflection_rounds: 0}).model_calls, estimate.chunks * 2)
+    })
+})
@@ -0,0 +1,151 @@
+import {after, before, describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {mkdir, mkdtemp, rm, utimes, writeFile} from "node:fs/promises";
+import {tmpdir} from "node:os";
+import {join} from "node:path";
+import {collect_jobs, main, suffixed_path} from "../src/cli.js";
+
+const FILES = {
+    'README.md': "# Solar\n\nPanels for every roof.\n",
+    'README.de.md': "# Solar\n\nPaneele für jedes Dach.\n",
+    'notes.txt': "Check the inverter.",
+    'image.png': "not text",
+    '.hidden/secret.md': "Hidden.",
+    'docs/guide.md': "Install the panels on the roof.",
+    'docs/api/reference.html': "<p>Reference.</p>",
+    'locales/en.json': '{"hello": "Hello"}',
+}
+
+let root
+
+/**
+ * In-memory stdin, stdout and stderr for main().
+ * @return {{stdin: string[], stdout: {write: function(string): void, text: string}, stderr: {write: function(string): void, text: string}}}
+ */
+function fake_io() {
+    const stream = () => ({text: "", write(text) { this.text += text }})
+    return {stdin: [], stdout: stream(), stderr: stream()}
+}
+
+/**
+ * Paths of the jobs relative to the root, output paths of each input.
+ * @param {import("../src/cli.js").CliJob[]} jobs
+ * @return {Object<string, string[]>}
+ */
+function relative_jobs(jobs) {
+    const strip = path => path.slice(root.length + 1).split('\\').join('/')
+    return Object.fromEntries(jobs.map(job => [strip(job.input), job.outputs.map(strip)]))
+}
+
+before(async () => {
+    root = await mkdtemp(join(tmpdir(), "translation-cli-"))
+    for (const [path, content] of Object.entries(FILES)) {
+        await mkdir(join(root, path, '..'), {recursive: true})
+        await writeFile(join(root, path), content)
+    }
+})
+
+after(async () => {
+    await rm(root, {recursive: true, force: true})
+})
+
+describe('collect_jobs', () => {
+    it('writes translations next to their source, skipping earlier translations, hidden files and other extensions', async () => {
+        assert.deepEqual(relative_jobs(await collect_jobs([root], undefined, ['de'])), {
+            'README.md': ['README.de.md'],
+            'docs/api/reference.html': ['docs/api/reference.de.html'],
+            'docs/guide.md': ['docs/guide.de.md'],
+            'locales/en.json': ['locales/en.de.json'],
+            'notes.txt': ['notes.de.txt'],
+        })
+    })
+
+    it('mirrors the directories in the output directory, a subdirectory per language', async () => {
+        const output = join(root, 'out')
+        assert.deepEqual(relative_jobs(await collect_jobs([join(root, 'docs'), join(root, 'notes.txt')], output, ['de'])), {
+            'docs/api/reference.html': ['out/api/reference.html'],
+            'docs/guide.md': ['out/guide.md'],
+            'notes.txt': ['out/notes.txt'],
+        })
+        assert.deepEqual(relative_jobs(await collect_jobs([join(root, 'docs', 'guide.md')], output, ['de', 'fr'])), {
+            'docs/guide.md': ['out/de/guide.md', 'out/fr/guide.md'],
+        })
+    })
+
+    it('expands globs relative to their static base', async () => {
+        const output = join(root, 'out')
+        assert.deepEqual(relative_jobs(await collect_jobs([join(root, '**', '*.md')], output, ['de'])), {
+            'README.de.md': ['out/README.de.md'],
+            'README.md': ['out/README.md'],
+            'docs/guide.md': ['out/docs/guide.md'],
+        })
+        assert.deepEqual(Object.keys(relative_jobs(await collect_jobs([join(root, '*.md')], undefined, ['de']))), ['README.md'])
+        assert.deepEqual(Object.keys(relative_jobs(await collect_jobs([join(root, 'docs', '**', '*.{md,html}')], undefined, ['fr']))),
+            ['docs/api/reference.html', 'docs/guide.md'])
+        assert.deepEqual(Object.keys(relative_jobs(await collect_jobs([join(root, 'locales', '[a-z]?.json')], undefined, ['de']))),
+            ['locales/en.json'])
+    })
+
+    it('fails on a missing path', async () => {
+        await assert.rejects(collect_jobs([join(root, 'missing.md')], undefined, ['de']), /no such file or directory/)
+    })
+
+    it('puts the suffix before the extension', () => {
+        assert.equal(suffixed_path(join('docs', 'intro.md'), 'pt-br'), join('docs', 'intro.pt-br.md'))
+        assert.equal(suffixed_path('LICENSE', 'de'), 'LICENSE.de')
+    })
+})
+
+describe('main', () => {
+    it('prints the usage and rejects invalid arguments', async () => {
+        let io = fake_io()
+        assert.equal(await main(['--help'], io), 0)
+        assert.match(io.stdout.text, /^Usage: translation-agent/)
+        io = fake_io()
+        assert.equal(await main([join(root, 'notes.txt')], io), 2)
+        assert.match(io.stderr.text, /--to is required/)
+        io = fake_io()
+        assert.equal(await main(['--to', 'German,French', '--suffix', 'de', root], io), 2)
+        assert.match(io.stderr.text, /--suffix needs a single --to language/)
+    })
+
+    it('estimates the files without calling any model with --dry-run', async () => {
+        const io = fake_io()
+        assert.equal(await main(['--dry-run', '--to', 'German', '-o', join(root, 'out'), join(root, 'docs')], io), 0)
+        const lines = io.stdout.text.trim().split("\n")
+        assert.equal(lines.length, 3)
+        assert.match(lines[0], /reference\.html: \d+ tokens, 1 chunks of about \d+ tokens, 3 model calls -> .*reference\.html$/)
+        assert.match(lines[2], /^total: 2 files, \d+ tokens, 2 chunks, 6 model calls$/)
+    })
+
+    it('prints no output paths with --dry-run without --to', async () => {
+        const io = fake_io()
+        assert.equal(await main(['--dry-run', join(root, 'notes.txt')], io), 0)
+        assert.match(io.stdout.text, /notes\.txt: \d+ tokens, 1 chunks of about \d+ tokens, 3 model calls\n/)
+        assert.doesNotMatch(io.stdout.text, /->/)
+    })
+
+    it('reports a failed translation of stdin without a stack trace', async () => {
+        const io = fake_io()
+        io.stdin = ["Check the inverter."]
+        assert.equal(await main(['--to', 'German', '--model', 'no-such-provider:model'], io), 1)
+        assert.match(io.stderr.text, /no-such-provider/)
+        assert.doesNotMatch(io.stderr.text, /^\s+at /m)
+    })
+
+    it('translates only the files whose output is missing or older with --resume', async () => {
+        const output = join(root, 'resumed')
+        await mkdir(output, {recursive: true})
+        await writeFile(join(output, 'notes.txt'), "Prüfe den Wechselrichter.")
+        await writeFile(join(output, 'README.md'), "# Solar\n")
+        const old = new Date(Date.now() - 60_000)
+        await utimes(join(output, 'README.md'), old, old)
+        const io = fake_io()
+        // a provider that does not exist makes the translation fail without calling any API
+        const args = ['--resume', '--to', 'German', '--model', 'no-such-provider:model', '-o', output]
+        assert.equal(await main([...args, join(root, 'notes.txt'), join(root, 'README.md')], io), 1)
+        assert.match(io.stderr.text, /\[1\/2\] .*notes\.txt: already translated, skipped\n/)
+        assert.match(io.stderr.text, /\[2\/2\] .*README\.md -> .*resumed.README\.md\n/)
+        assert.match(io.stderr.text, /1 of 2 files failed\n$/)
+    })
+})
@@ -0,0 +1,121 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {MockChatModel, pseudo_translate, Translator} from "../src/index.js";
+import {is_rate_limit_error, map_with_concurrency, with_retry} from "../src/concurrency.js";
+
+const SENTENCES = Array.from({length: 6}, (_, i) => `Sentence number ${i + 1} talks about the solar panels on the roof of the house.`)
+
+const rate_limit_error = () => Object.assign(new Error("Too many requests"), {status: 429})
+
+/** A MockChatModel recording the highest number of calls in flight. */
+class CountingModel extends MockChatModel {
+    in_flight = 0
+    max_in_flight = 0
+
+    async _generate(messages, options) {
+        this.in_flight++
+        this.max_in_flight = Math.max(this.max_in_flight, this.in_flight)
+        try {
+            return await super._generate(messages, options)
+        } finally {
+            this.in_flight--
+        }
+    }
+}
+
+function translator(model, options = {}) {
+    return new Translator({model, source_lang: 'English', target_lang: 'German', max_tokens: 20, reflection_rounds: 0, ...options})
+}
+
+describe('map_with_concurrency', () => {
+    it('keeps the order of the items whatever order the calls finish in', async () => {
+        let in_flight = 0
+        let max_in_flight = 0
+        const results = await map_with_concurrency([30, 10, 20, 0, 5], 2, async (ms, i) => {
+            in_flight++
+            max_in_flight = Math.max(max_in_flight, in_flight)
+            await new Promise(resolve => setTimeout(resolve, ms))
+            in_flight--
+            return i
+        })
+        assert.deepEqual(results, [0, 1, 2, 3, 4])
+        assert.equal(max_in_flight, 2)
+    })
+
+    it('rethrows the first rejection and starts no more calls', async () => {
+        const started = []
+        await assert.rejects(map_with_concurrency([1, 2, 3, 4, 5], 2, async item => {
+            started.push(item)
+            if (item === 2) {
+                throw new Error("failed")
+            }
+            await new Promise(resolve => setTimeout(resolve, 5))
+        }), /failed/)
+        assert.deepEqual(started, [1, 2])
+    })
+
+    it('rejects a concurrency that is not a positive integer', async () => {
+        await assert.rejects(map_with_concurrency([1], 0, async item => item), /concurrency must be a positive integer/)
+    })
+})
+
+describe('with_retry', () => {
+    it('retries rate-limit errors only', async () => {
+        let attempts = 0
+        assert.equal(await with_retry(async () => ++attempts < 3 ? Promise.reject(rate_limit_error()) : "done", 3, 1), "done")
+        assert.equal(attempts, 3)
+        attempts = 0
+        await assert.rejects(with_retry(async () => {
+            attempts++
+            throw new Error("Invalid API key")
+        }, 3, 1), /Invalid API key/)
+        assert.equal(attempts, 1)
+    })
+
+    it('gives up after max_retries', async () => {
+        let attempts = 0
+        await assert.rejects(with_retry(async () => {
+            attempts++
+            throw rate_limit_error()
+        }, 2, 1), /Too many requests/)
+        assert.equal(attempts, 3)
+    })
+
+    it('recognizes the rate-limit errors of the providers', () => {
+        assert.ok(is_rate_limit_error({response: {status: 429}}))
+        assert.ok(is_rate_limit_error(Object.assign(new Error("slow down"), {lc_error_code: 'MODEL_RATE_LIMIT'})))
+        assert.ok(is_rate_limit_error(new Error("Rate limit reached for gpt-4o")))
+        assert.ok(!is_rate_limit_error(new Error("Bad request")))
+    })
+})
+
+describe('concurrent translation', () => {
+    it('translates at most concurrency chunks at a time, keeping their order', async () => {
+        const model = new CountingModel({delay_ms: 20})
+        const result = await translator(model, {concurrency: 2}).translate(SENTENCES.join(" "), {details: true})
+        assert.equal(result.chunks.length, SENTENCES.length)
+        assert.equal(model.max_in_flight, 2)
+        assert.equal(result.translation, pseudo_translate(SENTENCES.join(" ")))
+    })
+
+    it('runs the chunks one by one with a concurrency of 1', async () => {
+        const model = new CountingModel({delay_ms: 5})
+        await translator(model, {concurrency: 1}).translate(SENTENCES.join(" "))
+        assert.equal(model.max_in_flight, 1)
+        assert.deepEqual(model.calls.map(call => call.text), SENTENCES)
+    })
+
+    it('retries a model call failing with a rate-limit error', async () => {
+        const model = new MockChatModel({responses: {initial: [rate_limit_error(), rate_limit_error()]}})
+        const text = SENTENCES[0]
+        const translation = await translator(model, {retry_delay_ms: 1}).translate(text)
+        assert.equal(translation, pseudo_translate(text))
+        assert.equal(model.calls.length, 3)
+    })
+
+    it('fails once the retries are used up', async () => {
+        const model = new MockChatModel({responses: {initial: [rate_limit_error(), rate_limit_error()]}})
+        await assert.rejects(translator(model, {max_retries: 1, retry_delay_ms: 1}).translate(SENTENCES[0]), /Too many requests/)
+        assert.equal(model.calls.length, 2)
+    })
+})
@@ -0,0 +1,156 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {MockChatModel, pseudo_translate, Translator} from "../src/index.js";
+import {parse_document, placeholder_check, render_document} from "../src/formats/index.js";
+import {restore_placeholders} from "../src/formats/document.js";
+
+const MARKDOWN = `---
+title: Guide
+---
+# Getting started
+
+Install the \`solar-cli\` package, then read [the guide](https://example.com/guide "Guide").
+See https://example.com/faq for answers.
+
+\`\`\`sh
+npm install solar-cli
+\`\`\`
+
+- First item with <b>bold</b> text
+- Second item
+
+> A quoted line.
+
+| Name | Value |
+| --- | --- |
+| Power | 5 kW |
+
+[docs]: https://example.com/docs
+`
+
+const HTML = `<!DOCTYPE html>
+<html lang="en">
+<head><title>Solar panels</title><style>p { color: red; }</style></head>
+<body>
+<!-- hero -->
+<h1 class="title">Solar panels</h1>
+<p>Our <a href="/panels" title="Panels">panels</a> run <code>solar --start</code> on <em>every</em> roof.</p>
+<pre>kept   as it is</pre>
+<script>const text = "not translated"</script>
+</body>
+</html>
+`
+
+/**
+ * Translatable texts of a document.
+ * @param {string} source
+ * @param {'markdown'|'html'} format
+ * @return {string[]}
+ */
+function segments(source, format) {
+    return parse_document(source, format).filter(part => part.translatable).map(part => part.text)
+}
+
+function translator(model, options = {}) {
+    return new Translator({model, source_lang: 'English', target_lang: 'German', reflection_rounds: 0, ...options})
+}
+
+describe('parse_document', () => {
+    it('splits Markdown into translatable text, protecting code, links and markup', () => {
+        assert.deepEqual(segments(MARKDOWN, 'markdown'), [
+            "Getting started",
+            "Install the ⟦0⟧ package, then read ⟦1⟧the guide⟦2⟧.\nSee ⟦3⟧ for answers.",
+            "First item with ⟦0⟧bold⟦1⟧ text",
+            "Second item",
+            "A quoted line.",
+            "Name",
+            "Value",
+            "Power",
+            "5 kW",
+        ])
+    })
+
+    it('splits HTML into the text between block tags, protecting inline tags and code', () => {
+        assert.deepEqual(segments(HTML, 'html'), [
+            "Solar panels",
+            "Solar panels",
+            "Our ⟦0⟧panels⟦1⟧ run ⟦2⟧ on ⟦3⟧every⟦4⟧ roof.",
+        ])
+    })
+
+    for (const [format, source] of [['markdown', MARKDOWN], ['html', HTML]]) {
+        it(`renders the ${format} source back from its untranslated parts`, () => {
+            const parts = parse_document(source, format)
+            const {text, missing} = render_document(parts, segments(source, format))
+            assert.equal(text, source)
+            assert.deepEqual(missing, [])
+        })
+    }
+})
+
+describe('restore_placeholders', () => {
+    it('puts the spans back and reports the dropped ones without moving them', () => {
+        const placeholders = ["`solar-cli`", "[", "](https://example.com)"]
+        assert.deepEqual(restore_placeholders("Installiere ⟦0⟧, lies ⟦1⟧die Anleitung⟦2⟧.", placeholders),
+            {text: "Installiere `solar-cli`, lies [die Anleitung](https://example.com).", missing: []})
+        assert.deepEqual(restore_placeholders("Installiere ⟦0⟧, lies die Anleitung.", placeholders),
+            {text: "Installiere `solar-cli`, lies die Anleitung.", missing: ["[", "](https://example.com)"]})
+    })
+
+    it('finds the dropped placeholders for validation', () => {
+        assert.deepEqual(placeholder_check("Read ⟦0⟧the guide⟦1⟧.", "Lies ⟦0⟧die Anleitung⟦1⟧."), [])
+        assert.deepEqual(placeholder_check("Read ⟦0⟧the guide⟦1⟧.", "Lies die Anleitung⟦1⟧.").map(issue => issue.message),
+            ["The placeholders ⟦0⟧ are missing from the translation. Keep every placeholder exactly as written."])
+    })
+})
+
+describe('document translation', () => {
+    it('translates only the text of a Markdown document', async () => {
+        const translation = await translator(new MockChatModel()).translate(MARKDOWN, {format: 'markdown'})
+        const expected = render_document(parse_document(MARKDOWN, 'markdown'), segments(MARKDOWN, 'markdown').map(text => pseudo_translate(text)))
+        assert.equal(translation, expected.text)
+        assert.match(translation, /^# gnitteG detrats$/m)
+        assert.match(translation, /\[eht ediug\]\(https:\/\/example\.com\/guide "Guide"\)/)
+        assert.match(translation, /```sh\nnpm install solar-cli\n```/)
+    })
+
+    it('translates only the text of an HTML document', async () => {
+        const translation = await translator(new MockChatModel()).translate(HTML, {format: 'html'})
+        assert.match(translation, /<p>ruO <a href="\/panels" title="Panels">slenap<\/a> nur <code>solar --start<\/code> no <em>yreve<\/em> foor\.<\/p>/)
+        assert.match(translation, /<script>const text = "not translated"<\/script>/)
+        assert.match(translation, /<pre>kept {3}as it is<\/pre>/)
+    })
+
+    it('reports the placeholders the model dropped', async () => {
+        const dropping = call => pseudo_translate(call.text).replace(/⟦\d+⟧/g, "")
+        const missing = []
+        const translation = await translator(new MockChatModel({responses: {initial: dropping}})).translate("Read [the guide](https://example.com).", {
+            format: 'markdown',
+            hooks: {on_placeholder_check: event => missing.push(...event.missing)},
+        })
+        assert.equal(translation, "daeR eht ediug.")
+        assert.deepEqual(missing, [{segment_index: 0, placeholders: ["[", "](https://example.com)"]}])
+    })
+
+    it('returns the dropped placeholders with the details', async () => {
+        const dropping = call => pseudo_translate(call.text).replace(/⟦\d+⟧/g, "")
+        const result = await translator(new MockChatModel({responses: {initial: dropping}})).translate("Read [the guide](https://example.com).", {
+            format: 'markdown',
+            details: true,
+        })
+        assert.equal(result.translation, "daeR eht ediug.")
+        assert.deepEqual(result.missing_placeholders, [{segment_index: 0, placeholders: ["[", "](https://example.com)"]}])
+    })
+
+    it('translates a segment dropping placeholders again with validation', async () => {
+        const model = new MockChatModel({responses: {initial: call => pseudo_translate(call.text).replace(/⟦\d+⟧/g, "")}})
+        const missing = []
+        const translation = await translator(model, {validate: true}).translate("Read [the guide](https://example.com).", {
+            format: 'markdown',
+            hooks: {on_placeholder_check: event => missing.push(...event.missing)},
+        })
+        assert.equal(translation, "daeR [eht ediug](https://example.com).")
+        assert.deepEqual(missing, [])
+        assert.match(model.prompts('improve')[0].user, /The placeholders ⟦0⟧, ⟦1⟧ are missing/)
+    })
+})
@@ -0,0 +1,91 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {check_glossary, parse_glossary} from "../src/index.js";
+import {normalize_glossary} from "../src/glossary.js";
+
+const TBX = `<?xml version="1.0" encoding="UTF-8"?>
+<tbx xmlns="urn:iso:std:iso:30042:ed-2" type="TBX-Basic" style="dca" xml:lang="en">
+<text><body>
+<conceptEntry id="1">
+  <langSec xml:lang="en"><termSec><term>warranty</term></termSec></langSec>
+  <langSec xml:lang="fr-FR"><termSec><term>garantie</term></termSec></langSec>
+  <langSec xml:lang="de"><termSec><term>Garantie</term></termSec></langSec>
+</conceptEntry>
+<termEntry id="2">
+  <langSet xml:lang="en"><tig><term>solar &amp; wind</term></tig></langSet>
+  <langSet xml:lang="de"><tig><term>Solar &amp; Wind</term></tig></langSet>
+</termEntry>
+<termEntry id="3">
+  <langSet xml:lang="en"><tig><term>SunBox</term></tig></langSet>
+</termEntry>
+</body></text>
+</tbx>`
+
+describe('parse_glossary', () => {
+    it('reads CSV rows, skipping the header', () => {
+        const csv = 'source,target\nwarranty,Garantie\n"panel, solar",Solarmodul\n"say ""hi""",sag hallo\r\nSunBox,\nAPI,API\n'
+        assert.deepEqual(parse_glossary(csv, 'csv'), {
+            entries: [
+                {source: 'warranty', target: 'Garantie'},
+                {source: 'panel, solar', target: 'Solarmodul'},
+                {source: 'say "hi"', target: 'sag hallo'},
+            ],
+            do_not_translate: ['SunBox', 'API'],
+        })
+    })
+
+    it('reads TSV rows', () => {
+        assert.deepEqual(parse_glossary("warranty\tGarantie\nSunBox", 'tsv'), {
+            entries: [{source: 'warranty', target: 'Garantie'}],
+            do_not_translate: ['SunBox'],
+        })
+    })
+
+    it('picks the TBX lang sets of the language codes', () => {
+        assert.deepEqual(parse_glossary(TBX, 'tbx', {source_lang_code: 'en', target_lang_code: 'fr'}), {
+            entries: [{source: 'warranty', target: 'garantie'}],
+            do_not_translate: [],
+        })
+        assert.deepEqual(parse_glossary(TBX, 'tbx', {source_lang_code: 'EN', target_lang_code: 'de'}).entries, [
+            {source: 'warranty', target: 'Garantie'},
+            {source: 'solar & wind', target: 'Solar & Wind'},
+        ])
+    })
+
+    it('reads the first two TBX lang sets without language codes', () => {
+        assert.deepEqual(parse_glossary(TBX, 'tbx'), {
+            entries: [
+                {source: 'warranty', target: 'garantie'},
+                {source: 'solar & wind', target: 'Solar & Wind'},
+            ],
+            do_not_translate: ['SunBox'],
+        })
+    })
+
+    it('rejects other formats', () => {
+        assert.throws(() => parse_glossary("", 'xlsx'), /unsupported glossary format: xlsx/)
+    })
+})
+
+describe('normalize_glossary', () => {
+    it('accepts objects, maps and terms with do-not-translate lists', () => {
+        const expected = {entries: [{source: 'warranty', target: 'Garantie'}], do_not_translate: []}
+        assert.deepEqual(normalize_glossary({warranty: 'Garantie'}), expected)
+        assert.deepEqual(normalize_glossary(new Map([['warranty', 'Garantie']])), expected)
+        assert.deepEqual(normalize_glossary({terms: {warranty: 'Garantie'}, do_not_translate: ['SunBox']}),
+            {...expected, do_not_translate: ['SunBox']})
+        assert.equal(normalize_glossary(null), null)
+    })
+})
+
+describe('check_glossary', () => {
+    it('reports the terms missing from the translation of their chunk', () => {
+        const glossary = normalize_glossary({terms: {warranty: 'Garantie'}, do_not_translate: ['SunBox']})
+        const violations = check_glossary(glossary,
+            ["The SunBox has a warranty.", "Warranty terms apply."],
+            ["Die Sunbox hat eine Garantie.", "Es gelten Gewährleistungsbedingungen."])
+        assert.deepEqual(violations, [
+            {chunk_index: 1, source: 'warranty', expected: 'Garantie'},
+        ])
+    })
+})
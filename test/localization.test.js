@@ -0,0 +1,257 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {MockChatModel, pseudo_translate, Translator} from "../src/index.js";
+import {parse_localization, render_localization} from "../src/formats/index.js";
+import {
+    batch_units,
+    check_placeholders,
+    extract_placeholders,
+    format_batch,
+    parse_batch
+} from "../src/formats/localization.js";
+import {decode_xml, encode_xml} from "../src/formats/xml.js";
+
+const JSON_BUNDLE = `{
+    "app": {"title": "Solar", "menu": ["Open", "Close"]},
+    "count_one": "{{count}} panel",
+    "count_other": "{{count}} panels",
+    "accent": "caf\\u00e9",
+    "settings": {
+        "limit": 3, "enabled": true, "empty": ""
+    }
+}
+`
+
+const PO = `msgid ""
+msgstr ""
+"Language: pl\\n"
+"Plural-Forms: nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);\\n"
+
+#. Button label
+msgctxt "toolbar"
+msgid "Open file"
+msgstr ""
+
+#: src/app.js:10
+msgid "%d panel"
+msgid_plural "%d panels"
+msgstr[0] ""
+msgstr[1] ""
+msgstr[2] ""
+
+msgid "Already done"
+msgstr "Już gotowe"
+
+#~ msgid "Old"
+#~ msgstr ""
+`
+
+const XLIFF_1 = `<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+  <file source-language="en" target-language="pl" datatype="plaintext" original="app">
+    <body>
+      <trans-unit id="greeting">
+        <source>Hello <g id="1">world</g> &amp; friends</source>
+        <note>Shown on the home page</note>
+      </trans-unit>
+      <trans-unit id="done">
+        <source>Done</source>
+        <target>Gotowe</target>
+      </trans-unit>
+      <trans-unit id="brand" translate="no">
+        <source>SunBox</source>
+      </trans-unit>
+    </body>
+  </file>
+</xliff>
+`
+
+const XLIFF_2 = `<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="en" trgLang="pl">
+  <file id="f1">
+    <unit id="u1">
+      <notes><note>Title of the window</note></notes>
+      <segment>
+        <source>Save <pc id="1">all</pc> files</source>
+      </segment>
+      <segment>
+        <source>Close</source>
+        <target/>
+      </segment>
+    </unit>
+  </file>
+</xliff>
+`
+
+function translator(model, options = {}) {
+    return new Translator({model, source_lang: 'English', target_lang: 'Polish', reflection_rounds: 0, ...options})
+}
+
+/**
+ * Render a localization file with every string left as it is.
+ * @param {string} content
+ * @param {'json'|'po'|'xliff'} format
+ * @return {string}
+ */
+function round_trip(content, format) {
+    const parsed = parse_localization(content, format)
+    return render_localization(parsed, format, parsed.units.map(unit => unit.source))
+}
+
+describe('JSON bundles', () => {
+    it('reads every non-empty string value keyed on its path', () => {
+        const {units} = parse_localization(JSON_BUNDLE, 'json')
+        assert.deepEqual(units.map(unit => [unit.id, unit.source]), [
+            ['app.title', "Solar"],
+            ['app.menu.0', "Open"],
+            ['app.menu.1', "Close"],
+            ['count_one', "{{count}} panel"],
+            ['count_other', "{{count}} panels"],
+            ['accent', "café"],
+        ])
+    })
+
+    it('keeps the formatting of the file', async () => {
+        assert.equal(round_trip(JSON_BUNDLE, 'json'), JSON_BUNDLE)
+        const translation = await translator(new MockChatModel()).translate(JSON_BUNDLE, {format: 'json'})
+        assert.equal(translation, JSON_BUNDLE
+            .replace('"Solar"', '"raloS"')
+            .replace('["Open", "Close"]', '["nepO", "esolC"]')
+            .replace('"{{count}} panel"', '"{{count}} lenap"')
+            .replace('"{{count}} panels"', '"{{count}} slenap"')
+            .replace('"caf\\u00e9"', '"éfac"'))
+    })
+
+    it('returns an object for a bundle given as an object', async () => {
+        const bundle = {greeting: "Hello {name}", nested: {items: ["Yes", 2]}}
+        const translation = await translator(new MockChatModel()).translate(bundle, {format: 'json'})
+        assert.deepEqual(translation, {greeting: "olleH {name}", nested: {items: ["seY", 2]}})
+        assert.deepEqual(bundle, {greeting: "Hello {name}", nested: {items: ["Yes", 2]}})
+    })
+})
+
+describe('PO files', () => {
+    it('reads the untranslated entries with their context, a unit per plural form', () => {
+        const {units} = parse_localization(PO, 'po')
+        assert.deepEqual(units, [
+            {id: "toolbar\u0004Open file", source: "Open file", context: "Button label msgctxt: toolbar"},
+            {id: "%d panel", source: "%d panel", context: "plural form 0 of 3, for counts such as 1"},
+            {id: "%d panel (plural 1)", source: "%d panels", context: "plural form 1 of 3, for counts such as 2, 3, 4, 22"},
+            {id: "%d panel (plural 2)", source: "%d panels", context: "plural form 2 of 3, for counts such as 0, 5, 6, 7"},
+        ])
+        assert.equal(round_trip(PO, 'po'), PO.replace('msgstr ""\n\n#: src', 'msgstr "Open file"\n\n#: src')
+            .replace('msgstr[0] ""\nmsgstr[1] ""\nmsgstr[2] ""', 'msgstr[0] "%d panel"\nmsgstr[1] "%d panels"\nmsgstr[2] "%d panels"'))
+    })
+
+    it('translates every plural form of the target language', async () => {
+        const forms = {2: "%d panel", 3: "%d panele", 4: "%d paneli"}
+        const model = new MockChatModel({
+            responses: {
+                initial: call => call.text.replace(/<SEGMENT id="(\d)"[^>]*>([^<]*)<\/SEGMENT>/g,
+                    (_, id, source) => `<SEGMENT id="${id}">${forms[id] ?? pseudo_translate(source)}</SEGMENT>`),
+            },
+        })
+        const translation = await translator(model).translate(PO, {format: 'po'})
+        assert.match(model.prompts('initial')[0].user, /<SEGMENT id="4" context="plural form 2 of 3, for counts such as 0, 5, 6, 7">%d panels<\/SEGMENT>/)
+        assert.match(translation, /msgctxt "toolbar"\nmsgid "Open file"\nmsgstr "nepO elif"\n/)
+        assert.match(translation, /msgstr\[0\] "%d panel"\nmsgstr\[1\] "%d panele"\nmsgstr\[2\] "%d paneli"\n/)
+        assert.match(translation, /msgid "Already done"\nmsgstr "Już gotowe"\n/)
+        assert.match(translation, /#~ msgid "Old"\n#~ msgstr ""\n$/)
+    })
+
+    it('writes the singular and plural translations for a language with two forms', () => {
+        const po = 'msgid ""\nmsgstr "Plural-Forms: nplurals=2; plural=(n != 1);\\n"\n\nmsgid "%d file"\nmsgid_plural "%d files"\nmsgstr[0] ""\nmsgstr[1] ""\n'
+        const parsed = parse_localization(po, 'po')
+        assert.deepEqual(parsed.units.map(unit => unit.source), ["%d file", "%d files"])
+        assert.equal(render_localization(parsed, 'po', ["%d Datei", "%d Dateien"]),
+            po.replace('msgstr[0] ""\nmsgstr[1] ""', 'msgstr[0] "%d Datei"\nmsgstr[1] "%d Dateien"'))
+    })
+
+    it('writes the plural translation alone for a language with a single form', () => {
+        const po = 'msgid ""\nmsgstr "Plural-Forms: nplurals=1; plural=0;\\n"\n\nmsgid "%d file"\nmsgid_plural "%d files"\nmsgstr[0] ""\n'
+        const parsed = parse_localization(po, 'po')
+        assert.equal(render_localization(parsed, 'po', ["%d 文件", "%d 个文件"]),
+            po.replace('msgstr[0] ""', 'msgstr[0] "%d 个文件"'))
+    })
+
+    it('splits multi-line translations and escapes them', () => {
+        const po = 'msgid "Line one\\nLine two"\nmsgstr ""\n'
+        const parsed = parse_localization(po, 'po')
+        assert.deepEqual(parsed.units.map(unit => unit.source), ["Line one\nLine two"])
+        assert.equal(render_localization(parsed, 'po', ['Zeile "eins"\nZeile zwei']),
+            'msgid "Line one\\nLine two"\nmsgstr ""\n"Zeile \\"eins\\"\\n"\n"Zeile zwei"\n')
+    })
+})
+
+describe('XLIFF files', () => {
+    it('adds the target of the XLIFF 1.2 trans-units without one', async () => {
+        const {units} = parse_localization(XLIFF_1, 'xliff')
+        assert.deepEqual(units.map(unit => [unit.id, unit.source, unit.context]), [
+            ['greeting', "Hello ⟦0⟧world⟦1⟧ & friends", "Shown on the home page"],
+        ])
+        assert.equal(round_trip(XLIFF_1, 'xliff'), XLIFF_1.replace(
+            '</source>\n        <note>',
+            '</source>\n        <target>Hello <g id="1">world</g> &amp; friends</target>\n        <note>'))
+        const translation = await translator(new MockChatModel()).translate(XLIFF_1, {format: 'xliff'})
+        assert.match(translation, /<target>olleH <g id="1">dlrow<\/g> &amp; sdneirf<\/target>/)
+        assert.match(translation, /<source>SunBox<\/source>\n {6}<\/trans-unit>/)
+    })
+
+    it('fills the target of the XLIFF 2.0 segments', async () => {
+        const {units} = parse_localization(XLIFF_2, 'xliff')
+        assert.deepEqual(units.map(unit => [unit.id, unit.source, unit.context]), [
+            ['u1#0', "Save ⟦0⟧all⟦1⟧ files", "Title of the window"],
+            ['u1#1', "Close", "Title of the window"],
+        ])
+        const translation = await translator(new MockChatModel()).translate(XLIFF_2, {format: 'xliff'})
+        assert.equal(translation, XLIFF_2
+            .replace('files</source>', 'files</source>\n        <target>evaS <pc id="1">lla</pc> selif</target>')
+            .replace('<target/>', '<target>esolC</target>'))
+    })
+
+    it('escapes and unescapes XML text', () => {
+        assert.equal(decode_xml("&lt;b&gt; &amp;amp; &#233;&#xE9; &quot;&apos;"), "<b> &amp; éé \"'")
+        assert.equal(encode_xml("<b> & </b>"), "&lt;b&gt; &amp; &lt;/b&gt;")
+    })
+})
+
+describe('localization batches', () => {
+    const units = ["Open", "Close", "Save {name}", "Delete"].map((source, i) => ({id: `k${i}`, source, context: i === 0 ? 'menu "File"' : ""}))
+
+    it('batches units under the batch size and token budget', () => {
+        assert.deepEqual(batch_units(units, 1000, 'cl100k_base', 3), [[0, 1, 2], [3]])
+        assert.deepEqual(batch_units(units, 2, 'cl100k_base'), [[0, 1], [2], [3]])
+    })
+
+    it('formats and parses numbered segments', () => {
+        const batch = format_batch(units.slice(0, 2))
+        assert.equal(batch, `<SEGMENT id="1" context="menu 'File'">Open</SEGMENT>\n<SEGMENT id="2">Close</SEGMENT>`)
+        assert.deepEqual(parse_batch(`<SEGMENT id="2">Schließen</SEGMENT>\n<SEGMENT id="1" context="x">Öffnen</SEGMENT>`),
+            new Map([[2, "Schließen"], [1, "Öffnen"]]))
+    })
+
+    it('compares the placeholders of a string and its translation', () => {
+        assert.deepEqual(extract_placeholders("{count, plural, one {# file of {owner}} other {# files}} %1$s {{name}} ⟦0⟧"),
+            ["%1$s", "{count, plural}", "{owner}", "{{name}}", "⟦0⟧"])
+        assert.equal(check_placeholders("Hello {name}, %d new", "%d neue, hallo {name}"), null)
+        assert.deepEqual(check_placeholders("Hello {name}", "Hallo {Name}"), {expected: ["{name}"], actual: ["{Name}"]})
+    })
+
+    it('reports the strings the model dropped', async () => {
+        const model = new MockChatModel({responses: {initial: `<SEGMENT id="1">Otwórz</SEGMENT>`}})
+        const issues = []
+        const translation = await translator(model).translate({open: "Open", close: "Close {name}"}, {
+            format: 'json',
+            hooks: {on_localization_check: event => issues.push(...event.issues)},
+        })
+        assert.deepEqual(translation, {open: "Otwórz", close: "Close {name}"})
+        assert.deepEqual(issues, [{id: 'close', problem: 'missing'}])
+    })
+
+    it('returns the strings with changed placeholders with the details', async () => {
+        const model = new MockChatModel({responses: {initial: `<SEGMENT id="1">Otwórz</SEGMENT>\n<SEGMENT id="2">Zamknij {nazwa}</SEGMENT>`}})
+        const result = await translator(model).translate({open: "Open", close: "Close {name}"}, {format: 'json', details: true})
+        assert.deepEqual(result.translation, {open: "Otwórz", close: "Zamknij {nazwa}"})
+        assert.deepEqual(result.localization_issues, [{id: 'close', problem: 'placeholders', expected: ["{name}"], actual: ["{nazwa}"]}])
+    })
+})
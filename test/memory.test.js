@@ -0,0 +1,71 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {mkdir, mkdtemp, readFile, rm} from "node:fs/promises";
+import {tmpdir} from "node:os";
+import {join} from "node:path";
+import {FileStore, MockChatModel, pseudo_translate, TranslationMemory, Translator} from "../src/index.js";
+
+describe('FileStore', () => {
+    it('keeps writing after a failed write', async () => {
+        const directory = await mkdtemp(join(tmpdir(), "translation-memory-"))
+        try {
+            const store = new FileStore(join(directory, "memory.json"))
+            // a directory where the store writes its temporary file makes the first write fail
+            await mkdir(join(directory, "memory.json.tmp"))
+            const entry = {scope: "s", source: "Hello", translation: "Hallo", updated_at: 0}
+            await assert.rejects(store.set("a", entry))
+            await rm(join(directory, "memory.json.tmp"), {recursive: true})
+            await store.set("b", {...entry, source: "Bye", translation: "Tschüss"})
+            const {entries} = JSON.parse(await readFile(store.path, 'utf8'))
+            assert.deepEqual(Object.keys(entries).sort(), ["a", "b"])
+        } finally {
+            await rm(directory, {recursive: true, force: true})
+        }
+    })
+})
+
+const PARAGRAPHS = Array.from({length: 8}, (_, i) =>
+    `Paragraph ${i + 1} explains how the solar panels charge the battery. It also covers the inverter.`)
+
+describe('translation memory', () => {
+    it('reuses the unchanged paragraphs of an edited text', async () => {
+        const memory = new TranslationMemory()
+        const translate = async text => {
+            const model = new MockChatModel()
+            const translator = new Translator({model, source_lang: 'English', target_lang: 'German', max_tokens: 60, reflection_rounds: 0, memory})
+            const result = await translator.translate(text, {details: true})
+            return {model, result}
+        }
+        const first = await translate(PARAGRAPHS.join("\n\n"))
+        assert.ok(first.result.chunks.length > 1 && first.result.chunks.length < PARAGRAPHS.length)
+
+        const edited = PARAGRAPHS.with(4, PARAGRAPHS[4].replace("the inverter", "the new inverter"))
+        const second = await translate(edited.join("\n\n"))
+        assert.equal(second.result.translation, edited.map(paragraph => pseudo_translate(paragraph)).join("\n\n"))
+        assert.deepEqual(second.model.calls.map(call => call.text), [edited[4]])
+        assert.equal(second.result.chunks.filter(chunk => chunk.from_memory).length, PARAGRAPHS.length - 1)
+    })
+
+    it('translates again once the glossary changes', async () => {
+        const memory = new TranslationMemory()
+        const translate = async glossary => {
+            const model = new MockChatModel()
+            const translator = new Translator({model, source_lang: 'English', target_lang: 'German', reflection_rounds: 0, memory, glossary})
+            await translator.translate(PARAGRAPHS[0])
+            return model.calls.length
+        }
+        assert.equal(await translate({battery: 'Akku'}), 1)
+        assert.equal(await translate({battery: 'Akku'}), 0)
+        assert.equal(await translate({battery: 'Batterie'}), 1)
+        assert.equal(await translate(null), 1)
+    })
+
+    it('stores the paragraphs of a chunk on their own', async () => {
+        const memory = new TranslationMemory()
+        const scope = {source_lang: 'English', target_lang: 'German', country: "", version: "v1"}
+        await memory.record("First paragraph.\n\nSecond paragraph.", "Erster Absatz.\n\nZweiter Absatz.", scope)
+        await memory.record("One paragraph.\n\nTwo paragraphs.", "Ein Absatz mit zwei Absätzen.", scope)
+        const matches = await memory.lookup(["Second paragraph.", "One paragraph."], scope)
+        assert.deepEqual(matches.map(match => match.translation), ["Zweiter Absatz.", undefined])
+    })
+})
@@ -0,0 +1,87 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {MockChatModel, prompt_stage, pseudo_translate} from "../src/mock.js";
+import {DEFAULT_PROMPTS, render_prompt} from "../src/prompts.js";
+
+const VARIABLES = {
+    source_lang: 'English',
+    target_lang: 'German',
+    source_text: "The cat sleeps.",
+    tagged_text: "<TRANSLATE_THIS>The cat sleeps.</TRANSLATE_THIS>",
+    chunk_to_translate: "The cat sleeps.",
+    translation: "Die Katze schläft.",
+    reflection: "Fine.",
+    country_instruction: "",
+    instructions: "",
+}
+
+describe('prompt_stage', () => {
+    const stages = {
+        one_chunk_initial: 'initial',
+        one_chunk_reflect: 'reflect',
+        one_chunk_improve: 'improve',
+        multi_chunk_initial: 'initial',
+        multi_chunk_reflect: 'reflect',
+        multi_chunk_improve: 'improve',
+        quality_score: 'validate',
+        detect_language: 'detect',
+    }
+    for (const [name, stage] of Object.entries(stages)) {
+        it(`classifies ${name} as ${stage}`, () => {
+            const [[, system], [, user]] = render_prompt(DEFAULT_PROMPTS, name, VARIABLES)
+            assert.equal(prompt_stage(system, user), stage)
+        })
+    }
+})
+
+describe('pseudo_translate', () => {
+    it('reverses words and keeps tags, placeholders, numbers and URLs', () => {
+        assert.equal(
+            pseudo_translate(`Hello <b>{name}</b>, you have 12 items at https://example.com/cart ⟦0⟧`),
+            `olleH <b>{name}</b>, uoy evah 12 smeti ta https://example.com/cart ⟦0⟧`,
+        )
+    })
+})
+
+describe('MockChatModel', () => {
+    it('answers by rule and records the prompts', async () => {
+        const model = new MockChatModel()
+        const messages = render_prompt(DEFAULT_PROMPTS, 'one_chunk_initial', VARIABLES)
+        const reply = await model.invoke(messages)
+        assert.equal(reply.content, "ehT tac speels.")
+        assert.equal(model.calls.length, 1)
+        assert.deepEqual(
+            {stage: model.calls[0].stage, text: model.calls[0].text, source_lang: model.calls[0].source_lang, target_lang: model.calls[0].target_lang},
+            {stage: 'initial', text: "The cat sleeps.", source_lang: 'English', target_lang: 'German'},
+        )
+        assert.ok(reply.usage_metadata.total_tokens > 0)
+    })
+
+    it('answers scripted responses in turn, then falls back to the rule', async () => {
+        const model = new MockChatModel({responses: {reflect: ["first", "second"], validate: () => "minor | style | wordy"}})
+        const reflect = render_prompt(DEFAULT_PROMPTS, 'one_chunk_reflect', VARIABLES)
+        const answers = []
+        for (let i = 0; i < 3; i++) {
+            answers.push((await model.invoke(reflect)).content)
+        }
+        assert.deepEqual(answers.slice(0, 2), ["first", "second"])
+        assert.notEqual(answers[2], "second")
+        const score = await model.invoke(render_prompt(DEFAULT_PROMPTS, 'quality_score', VARIABLES))
+        assert.equal(score.content, "minor | style | wordy")
+        model.reset()
+        assert.equal((await model.invoke(reflect)).content, "first")
+        assert.equal(model.prompts('reflect').length, 1)
+    })
+
+    it('throws scripted errors', async () => {
+        const model = new MockChatModel({responses: {initial: new Error("boom")}})
+        await assert.rejects(model.invoke(render_prompt(DEFAULT_PROMPTS, 'one_chunk_initial', VARIABLES)), /boom/)
+    })
+
+    it('stops a delayed call when its signal is aborted', async () => {
+        const model = new MockChatModel({delay_ms: 1000})
+        const controller = new AbortController()
+        setTimeout(() => controller.abort(), 10)
+        await assert.rejects(model.invoke(render_prompt(DEFAULT_PROMPTS, 'one_chunk_initial', VARIABLES), {signal: controller.signal}))
+    })
+})
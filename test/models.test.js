@@ -0,0 +1,30 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {MockChatModel, Translator} from "../src/index.js";
+import {model_profile, parse_model_spec} from "../src/models.js";
+
+describe('parse_model_spec', () => {
+    it('reads provider:model strings and configs', () => {
+        assert.deepEqual(parse_model_spec("ollama:llama3.1"), {provider: 'ollama', model: 'llama3.1'})
+        assert.deepEqual(parse_model_spec("gpt-4o-mini"), {model: 'gpt-4o-mini'})
+        assert.equal(parse_model_spec(new MockChatModel()), null)
+        assert.throws(() => parse_model_spec({provider: 'openai'}), /needs a model name/)
+    })
+})
+
+describe('model_profile', () => {
+    it('picks the tokenizer and chunk budget of the model', () => {
+        assert.deepEqual(model_profile("gpt-4o"), {name: 'openai:gpt-4o', encoding_name: 'o200k_base', max_tokens: 1000})
+        assert.equal(model_profile("ollama:llama3.1").max_tokens, 500)
+        assert.equal(model_profile({model: 'gpt-4', max_tokens: 300}).max_tokens, 300)
+    })
+})
+
+describe('Translator.getModel', () => {
+    it('creates the model again after a failed creation', async () => {
+        const spec = {provider: 'anthropic', model: 'claude', base_url: "http://localhost:1234"}
+        const translator = new Translator({model: spec})
+        await assert.rejects(translator.getModel(translator.options), /base_url is only supported/)
+        assert.equal(translator.models.has(spec), false)
+    })
+})
@@ -0,0 +1,87 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {readFile, writeFile} from "node:fs/promises";
+import {MockChatModel, Translator} from "../src/index.js";
+
+const GOLDEN_DIR = new URL("./golden/", import.meta.url)
+
+const SHORT_TEXT = "The cat sleeps on the warm windowsill all afternoon."
+const CHUNKS = [
+    "Our company builds solar panels for homes in the north of the country.",
+    "Each panel comes with a warranty of twenty years and free installation.",
+    "Customers can follow the output of their panels in our mobile app.",
+]
+
+function translator(model, options = {}) {
+    return new Translator({model, source_lang: 'English', target_lang: 'German', ...options})
+}
+
+/**
+ * Compare the prompts with a golden file, rewriting it when UPDATE_GOLDEN is set.
+ * @param {string} name
+ * @param {import("../src/mock.js").PromptCall[]} calls
+ */
+async function assert_golden(name, calls) {
+    const rendered = calls.map(call => `=== ${call.stage} system ===\n${call.system}\n=== ${call.stage} user ===\n${call.user}\n`).join("\n")
+    const path = new URL(name, GOLDEN_DIR)
+    if (process.env.UPDATE_GOLDEN) {
+        await writeFile(path, rendered)
+    }
+    assert.equal(rendered, await readFile(path, 'utf8'))
+}
+
+describe('prompt content', () => {
+    it('renders the single chunk prompts', async () => {
+        const model = new MockChatModel({responses: {reflect: "Use \"Fensterbrett\" instead."}})
+        await translator(model, {country: 'Austria'}).translate(SHORT_TEXT)
+        await assert_golden('one_chunk_prompts.txt', model.calls)
+    })
+
+    it('renders the multi chunk prompts of a chunk with the others as context', async () => {
+        const model = new MockChatModel({responses: {reflect: "Translate \"warranty\" as \"Garantie\"."}})
+        await translator(model, {max_tokens: 20}).translate(CHUNKS.join(" "))
+        const second = model.calls.filter(call => call.text === CHUNKS[1])
+        assert.deepEqual(second.map(call => call.stage), ['initial', 'reflect', 'improve'])
+        await assert_golden('multi_chunk_prompts.txt', second)
+    })
+
+    it('tags the chunk being translated within its context', async () => {
+        const model = new MockChatModel()
+        await translator(model, {max_tokens: 20, chunk_overlap: 20}).translate(CHUNKS.join(" "))
+        const first = model.prompts('initial').find(call => call.text === CHUNKS[0])
+        assert.match(first.user, new RegExp(`<TRANSLATE_THIS>${CHUNKS[0]}</TRANSLATE_THIS> ${CHUNKS[1]}`))
+        assert.doesNotMatch(first.user, new RegExp(CHUNKS[2]))
+    })
+
+    it('gives the glossary terms of a chunk to its prompts only', async () => {
+        const model = new MockChatModel()
+        await translator(model, {max_tokens: 20, glossary: {warranty: 'Garantie'}}).translate(CHUNKS.join(" "))
+        for (const call of model.calls) {
+            assert.equal(call.user.includes("warranty => Garantie"), call.text === CHUNKS[1], `${call.stage} of ${call.text}`)
+        }
+    })
+
+    it('adds the style, domain and instructions to every prompt', async () => {
+        const model = new MockChatModel()
+        await translator(model, {style: 'formal', domain: "renewable energy"}).translate(SHORT_TEXT)
+        for (const call of model.calls) {
+            assert.match(call.user, /renewable energy/)
+            assert.match(call.user, /formal/i)
+        }
+    })
+
+    it('uses prompt overrides', async () => {
+        const model = new MockChatModel()
+        const prompts = {one_chunk_initial: {user: "Translate into {target_lang}: {source_text}"}}
+        await translator(model, {prompts, reflection_rounds: 0}).translate(SHORT_TEXT)
+        assert.equal(model.calls[0].user, `Translate into German: ${SHORT_TEXT}`)
+    })
+
+    it('asks the model for the language of the text when detection is not conclusive', async () => {
+        const model = new MockChatModel({responses: {detect: "Dutch."}})
+        const result = await translator(model, {source_lang: null, detect_with_model: true, reflection_rounds: 0}).translate("Ok!", {details: true})
+        assert.equal(result.source_lang, 'Dutch')
+        assert.match(model.prompts('detect')[0].user, /<TEXT>\nOk!\n<\/TEXT>/)
+        assert.equal(model.prompts('initial')[0].source_lang, 'Dutch')
+    })
+})
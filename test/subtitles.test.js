@@ -0,0 +1,160 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {MockChatModel, Translator} from "../src/index.js";
+import {parse_subtitles, render_subtitles, subtitle_check} from "../src/formats/index.js";
+import {format_batch} from "../src/formats/localization.js";
+import {wrap_subtitle} from "../src/formats/subtitles.js";
+
+const SRT = `1
+00:00:01,000 --> 00:00:03,000
+<i>Hello there,</i>
+how are you today?
+
+2
+00:00:04,000 --> 00:00:06,000
+- Fine.
+- And you?
+
+3
+00:00:07,000 --> 00:00:09,000
+{\\an8}See you tomorrow at 5.
+`
+
+const VTT = `WEBVTT
+
+NOTE Recorded live
+
+intro
+00:00:01.000 --> 00:00:03.000 align:start
+Welcome back.
+
+00:00:04.000 --> 00:00:06.000
+Let's begin.
+`
+
+function translator(model, options = {}) {
+    return new Translator({model, source_lang: 'English', target_lang: 'German', reflection_rounds: 0, ...options})
+}
+
+describe('parse_subtitles', () => {
+    it('reads the SRT cues, joining their lines and protecting formatting tags', () => {
+        const file = parse_subtitles(SRT, 'srt')
+        assert.deepEqual(file.cues.map(({id, timing, dialogue}) => ({id, timing, dialogue})), [
+            {id: "1", timing: "00:00:01,000 --> 00:00:03,000", dialogue: false},
+            {id: "2", timing: "00:00:04,000 --> 00:00:06,000", dialogue: true},
+            {id: "3", timing: "00:00:07,000 --> 00:00:09,000", dialogue: false},
+        ])
+        assert.deepEqual(file.units.map(unit => unit.source), [
+            "⟦0⟧Hello there,⟦1⟧ how are you today?",
+            "- Fine.\n- And you?",
+            "⟦0⟧See you tomorrow at 5.",
+        ])
+        assert.deepEqual(file.units[0].placeholders, ["<i>", "</i>"])
+    })
+
+    it('reads the WebVTT cues, keeping the header and notes', () => {
+        const file = parse_subtitles(VTT, 'vtt')
+        assert.deepEqual(file.cues.map(cue => [cue.id, cue.timing]), [
+            ["intro", "00:00:01.000 --> 00:00:03.000 align:start"],
+            ["2", "00:00:04.000 --> 00:00:06.000"],
+        ])
+        assert.throws(() => parse_subtitles(SRT, 'vtt'), /not a WebVTT file/)
+    })
+
+    it('renders the source back from its untranslated cues', () => {
+        const file = parse_subtitles(VTT, 'vtt')
+        assert.deepEqual(render_subtitles(file, file.units.map(unit => unit.source)), {text: VTT, issues: []})
+        const crlf = SRT.replace(/\n/g, "\r\n")
+        const crlf_file = parse_subtitles(crlf, 'srt')
+        assert.equal(render_subtitles(crlf_file, crlf_file.units.map(unit => unit.source)).text,
+            crlf.replace("<i>Hello there,</i>\r\nhow", "<i>Hello there,</i> how"))
+    })
+
+    it('reports the cues missing or too long, keeping the source of the missing ones', () => {
+        const file = parse_subtitles(SRT, 'srt')
+        const long = "Das ist ein sehr langer Untertitel, der auf keinen Fall in zwei Zeilen mit höchstens zweiundvierzig Zeichen passt."
+        const {text, issues} = render_subtitles(file, [undefined, "- Gut.\n- Und dir?", long])
+        assert.match(text, /^<i>Hello there,<\/i>\nhow are you today\?$/m)
+        assert.deepEqual(issues.map(issue => [issue.id, issue.problem]), [["1", 'missing'], ["3", 'too_long']])
+        assert.equal(issues[1].lines.length, 3)
+    })
+})
+
+describe('wrap_subtitle', () => {
+    it('wraps into the fewest balanced lines', () => {
+        assert.deepEqual(wrap_subtitle("Short line."), ["Short line."])
+        assert.deepEqual(wrap_subtitle("I never thought we would see each other again after all these years.", 42),
+            ["I never thought we would see each", "other again after all these years."])
+    })
+
+    it('keeps one line per speaker in dialogue cues', () => {
+        assert.deepEqual(wrap_subtitle("- Fine.\n- And you?", 42, true), ["- Fine.", "- And you?"])
+        assert.deepEqual(wrap_subtitle("- Fine.\n- And you?", 42, false), ["- Fine. - And you?"])
+    })
+
+    it('does not count formatting tags and breaks scripts without spaces between characters', () => {
+        assert.deepEqual(wrap_subtitle("<i>Hello there, how are you</i> doing today?", 20),
+            ["<i>Hello there, how are", "you</i> doing today?"])
+        assert.deepEqual(wrap_subtitle("今日はとてもいい天気ですね。散歩に行きましょう。", 12),
+            ["今日はとてもいい天気です", "ね。散歩に行きましょう。"])
+    })
+})
+
+describe('subtitle_check', () => {
+    const check = subtitle_check(20, 1)
+    const source = format_batch([{source: "Hello there."}, {source: "- Yes.\n- No."}, {source: "Bye."}])
+
+    it('passes a batch whose cues fit', () => {
+        assert.deepEqual(check(source, `<SEGMENT id="1">Hallo.</SEGMENT>\n<SEGMENT id="2">- Ja. - Nein.</SEGMENT>\n<SEGMENT id="3">Tschüss.</SEGMENT>`), [])
+    })
+
+    it('reports the cues missing from the batch or too long', () => {
+        const issues = check(source, `<SEGMENT id="1">Hallo, wie geht es dir heute?</SEGMENT>\n<SEGMENT id="3"> </SEGMENT>`)
+        assert.deepEqual(issues.map(issue => issue.check), ['segments', 'lines'])
+        assert.match(issues[0].message, /The subtitles 2, 3 are missing/)
+        assert.match(issues[1].message, /The subtitles 1 do not fit/)
+    })
+})
+
+describe('subtitle translation', () => {
+    it('translates the cues in batches, keeping numbers and timings', async () => {
+        const model = new MockChatModel()
+        const translation = await translator(model, {batch_size: 2}).translate(SRT, {format: 'srt'})
+        assert.equal(model.calls.length, 2)
+        assert.equal(translation, `1
+00:00:01,000 --> 00:00:03,000
+<i>olleH ereht,</i> woh era uoy yadot?
+
+2
+00:00:04,000 --> 00:00:06,000
+- eniF.
+- dnA uoy?
+
+3
+00:00:07,000 --> 00:00:09,000
+{\\an8}eeS uoy worromot ta 5.
+`)
+        assert.equal(translator(model, {batch_size: 2}).estimate(SRT, {format: 'srt'}).chunks, 2)
+    })
+
+    it('translates a batch again when a cue is too long with validation', async () => {
+        const model = new MockChatModel({responses: {improve: `<SEGMENT id="1">Willkommen.</SEGMENT>\n<SEGMENT id="2">Los jetzt.</SEGMENT>`}})
+        const issues = []
+        const translation = await translator(model, {validate: true, max_line_length: 10, max_lines: 1}).translate(VTT, {
+            format: 'vtt',
+            hooks: {on_subtitle_check: event => issues.push(...event.issues)},
+        })
+        assert.match(model.prompts('improve')[0].user, /The subtitles 1, 2 do not fit in 1 lines of 10 characters/)
+        assert.match(translation, /align:start\nWillkommen\.\n\n00:00:04\.000 --> 00:00:06\.000\nLos jetzt\.\n$/)
+        assert.deepEqual(issues, [])
+    })
+
+    it('returns the cues missing or too long with the details', async () => {
+        const model = new MockChatModel({responses: {initial: `<SEGMENT id="1">Willkommen zurück.</SEGMENT>`}})
+        const result = await translator(model, {max_line_length: 10, max_lines: 1}).translate(VTT, {format: 'vtt', details: true})
+        assert.deepEqual(result.subtitle_issues, [
+            {id: 'intro', problem: 'too_long', lines: ["Willkommen", "zurück."]},
+            {id: '2', problem: 'missing'},
+        ])
+    })
+})
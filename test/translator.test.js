@@ -0,0 +1,216 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {MockChatModel, pseudo_translate, TranslationMemory, TranslationStoppedError, Translator} from "../src/index.js";
+
+const SHORT_TEXT = "The cat sleeps on the warm windowsill all afternoon."
+const LONG_TEXT = Array.from({length: 30}, (_, i) => `This is sentence number ${i} of a longer document about cats.`).join(" ")
+
+function translator(model, options = {}) {
+    return new Translator({model, source_lang: 'English', target_lang: 'German', ...options})
+}
+
+describe('single chunk translation', () => {
+    it('runs the initial, reflect and improve stages once', async () => {
+        const model = new MockChatModel({responses: {improve: "Die Katze schläft den ganzen Nachmittag auf der warmen Fensterbank."}})
+        const translation = await translator(model).translate(SHORT_TEXT)
+        assert.equal(translation, "Die Katze schläft den ganzen Nachmittag auf der warmen Fensterbank.")
+        assert.deepEqual(model.calls.map(call => call.stage), ['initial', 'reflect', 'improve'])
+        assert.ok(model.calls.every(call => call.text === SHORT_TEXT))
+    })
+
+    it('returns the draft without reflection rounds', async () => {
+        const model = new MockChatModel()
+        const translation = await translator(model, {reflection_rounds: 0}).translate(SHORT_TEXT)
+        assert.equal(translation, pseudo_translate(SHORT_TEXT))
+        assert.deepEqual(model.calls.map(call => call.stage), ['initial'])
+    })
+
+    it('runs several rounds and stops once the reflection reports no issues', async () => {
+        const model = new MockChatModel({responses: {reflect: ["Use a warmer tone.", "NO_ISSUES"]}})
+        const result = await translator(model, {reflection_rounds: 3, stop_when_no_issues: true}).translate(SHORT_TEXT, {details: true})
+        assert.deepEqual(model.calls.map(call => call.stage), ['initial', 'reflect', 'improve', 'reflect'])
+        assert.equal(result.chunks[0].rounds.length, 2)
+        assert.equal(result.chunks[0].rounds[1].translation, null)
+        assert.equal(result.usage.calls.length, 4)
+    })
+})
+
+describe('multi chunk translation', () => {
+    it('translates every chunk and joins them', async () => {
+        const model = new MockChatModel()
+        const result = await translator(model, {max_tokens: 100}).translate(LONG_TEXT, {details: true})
+        const chunks = result.chunks.map(chunk => chunk.source)
+        assert.ok(chunks.length > 1)
+        assert.equal(chunks.join(" "), LONG_TEXT)
+        assert.equal(result.translation, pseudo_translate(LONG_TEXT))
+        for (const stage of ['initial', 'reflect', 'improve']) {
+            assert.deepEqual(model.prompts(stage).map(call => call.text).sort(), [...chunks].sort())
+        }
+        assert.deepEqual(result.flagged, [])
+    })
+
+    it('skips the improve stage once no chunk has issues left', async () => {
+        const model = new MockChatModel({responses: {reflect: "NO_ISSUES"}})
+        const stages = []
+        await translator(model, {max_tokens: 100, reflection_rounds: 2, stop_when_no_issues: true}).translate(LONG_TEXT, {
+            hooks: {on_stage_start: ({stage, round}) => stages.push(`${stage} ${round}`)},
+        })
+        assert.deepEqual(stages, ['initial 0', 'reflect 1'])
+        assert.deepEqual(model.prompts('improve'), [])
+    })
+
+    it('retranslates a chunk failing validation with the issues as feedback', async () => {
+        const model = new MockChatModel({
+            responses: {improve: call => call.user.includes("much shorter") ? pseudo_translate(call.text) : "Zu kurz."},
+        })
+        const result = await translator(model, {max_tokens: 100, validate: true}).translate(LONG_TEXT, {details: true})
+        assert.ok(result.chunks.every(chunk => chunk.retranslations.length === 1 && chunk.validation.passed))
+        assert.equal(result.translation, pseudo_translate(LONG_TEXT))
+    })
+
+    it('translates into several target languages', async () => {
+        const model = new MockChatModel()
+        const results = await translator(model, {max_tokens: 100, target_lang: ['German', 'French']}).translate(LONG_TEXT)
+        assert.deepEqual(Object.keys(results), ['German', 'French'])
+        assert.deepEqual([...new Set(model.calls.map(call => call.target_lang))], ['German', 'French'])
+    })
+
+    it('gives each target language its own glossary and style', async () => {
+        const model = new MockChatModel()
+        await translator(model, {
+            target_lang: ['German', 'French'],
+            glossary: {German: {cat: 'Katze'}, French: {cat: 'chat'}},
+            style: {German: 'formal'},
+        }).translate(SHORT_TEXT)
+        for (const call of model.calls) {
+            const german = call.target_lang === 'German'
+            assert.equal(call.user.includes("cat => Katze"), german)
+            assert.equal(call.user.includes("cat => chat"), !german)
+            assert.equal(/formal/i.test(call.user), german)
+        }
+    })
+
+    it('refuses a single glossary for several target languages', async () => {
+        const model = new MockChatModel()
+        await assert.rejects(translator(model, {target_lang: ['German', 'French'], glossary: {cat: 'Katze'}}).translate(SHORT_TEXT),
+            /a glossary applies to a single target language/)
+        assert.equal(model.calls.length, 0)
+    })
+
+    it('returns the glossary terms missing from the translation with the details', async () => {
+        const result = await translator(new MockChatModel(), {reflection_rounds: 0, glossary: {cat: 'Katze'}}).translate(SHORT_TEXT, {details: true})
+        assert.deepEqual(result.glossary_violations, [{chunk_index: 0, source: 'cat', expected: 'Katze'}])
+    })
+})
+
+describe('stream', () => {
+    it('yields the progress events and the translation', async () => {
+        const events = []
+        for await (const event of translator(new MockChatModel(), {reflection_rounds: 0, validate: false}).stream(SHORT_TEXT)) {
+            events.push(event.type)
+        }
+        assert.deepEqual(events, ['split', 'stage_start', 'usage', 'chunk', 'stage_end', 'chunk_done', 'done'])
+    })
+
+    it('stops the translation when the consumer breaks out', async () => {
+        const model = new MockChatModel({delay_ms: 20})
+        for await (const event of translator(model, {max_tokens: 100}).stream(LONG_TEXT)) {
+            if (event.type === 'chunk') {
+                break
+            }
+        }
+        const calls = model.calls.length
+        await new Promise(resolve => setTimeout(resolve, 200))
+        assert.equal(model.calls.length, calls)
+    })
+})
+
+describe('options', () => {
+    it('turns off an option of the constructor with null for one call', async () => {
+        const messages = []
+        const logger = {debug: message => messages.push(message)}
+        const model = new MockChatModel()
+        const memory = new TranslationMemory()
+        const configured = translator(model, {logger, memory, reflection_rounds: 0})
+        await configured.translate(SHORT_TEXT, {logger: null, memory: null})
+        assert.deepEqual(messages, [])
+        assert.equal(memory.store.entries.size, 0)
+        await configured.translate(SHORT_TEXT)
+        assert.ok(messages.length > 0)
+        assert.equal(memory.store.entries.size, 1)
+    })
+
+    it('refuses null for the options that cannot be turned off', async () => {
+        const model = new MockChatModel()
+        await assert.rejects(translator(model).translate(SHORT_TEXT, {validate: true, length_ratio: null}),
+            /length_ratio cannot be null, leave it undefined to keep its value/)
+        await assert.rejects(translator(model).translate(SHORT_TEXT, {concurrency: null}), /concurrency cannot be null/)
+        assert.equal(model.calls.length, 0)
+    })
+
+    it('refuses invalid numeric options', async () => {
+        const model = new MockChatModel()
+        await assert.rejects(translator(model, {batch_size: 0}).translate(SHORT_TEXT), /batch_size must be a positive integer, got 0/)
+        await assert.rejects(translator(model).translate(SHORT_TEXT, {length_ratio: [2]}), /length_ratio must be the minimum and maximum ratios/)
+        assert.equal(model.calls.length, 0)
+    })
+})
+
+describe('source language detection', () => {
+    it('detects the language of the text without calling the model', async () => {
+        const model = new MockChatModel()
+        const result = await translator(model, {source_lang: null}).translate("Die Katze schläft auf der Fensterbank und es ist nicht kalt.", {details: true})
+        assert.equal(result.source_lang, 'German')
+        assert.equal(result.detection.method, 'statistical')
+        assert.equal(model.prompts('detect').length, 0)
+    })
+})
+
+describe('limits', () => {
+    it('stops at the token limit with the partial results', async () => {
+        const model = new MockChatModel()
+        const error = await translator(model, {max_tokens: 100, max_total_tokens: 500}).translate(LONG_TEXT).catch(e => e)
+        assert.ok(error instanceof TranslationStoppedError)
+        assert.equal(error.reason, 'budget')
+        assert.equal(error.partial.target_lang, 'German')
+        // the calls in flight when the limit is reached still complete, up to concurrency of them
+        const drafted = error.partial.chunks.filter(chunk => chunk.draft !== "")
+        assert.equal(drafted.length, 4)
+        assert.ok(error.partial.chunks.length > drafted.length)
+        assert.ok(error.partial.chunks.every(chunk => chunk.final === ""))
+        assert.ok(error.partial.usage.total_tokens >= 500)
+    })
+
+    it('returns the glossary violations of the target languages translated before the stop', async () => {
+        const error = await translator(new MockChatModel(), {
+            target_lang: ['German', 'French'],
+            reflection_rounds: 0,
+            max_total_tokens: 100,
+            glossary: {German: {cat: 'Katze'}, French: {cat: 'chat'}},
+        }).translate(SHORT_TEXT).catch(e => e)
+        assert.ok(error instanceof TranslationStoppedError)
+        assert.deepEqual(Object.keys(error.partial.translations), ['German'])
+        assert.deepEqual(error.partial.glossary_violations, {German: [{chunk_index: 0, source: 'cat', expected: 'Katze'}], French: []})
+    })
+
+    it('stops when the signal is aborted', async () => {
+        const model = new MockChatModel({delay_ms: 50})
+        const controller = new AbortController()
+        setTimeout(() => controller.abort(), 75)
+        const error = await translator(model, {signal: controller.signal}).translate(SHORT_TEXT).catch(e => e)
+        assert.ok(error instanceof TranslationStoppedError)
+        assert.equal(error.reason, 'aborted')
+        assert.equal(error.partial.chunks[0].draft, pseudo_translate(SHORT_TEXT))
+        assert.equal(model.calls.length, 2)
+    })
+
+    it('stops a model call taking longer than call_timeout_ms', async () => {
+        const model = new MockChatModel({delay_ms: 1000})
+        const error = await translator(model, {call_timeout_ms: 20}).translate(SHORT_TEXT).catch(e => e)
+        assert.equal(error.reason, 'call_timeout')
+    })
+
+    it('requires pricing for a cost limit', async () => {
+        await assert.rejects(translator(new MockChatModel(), {max_cost: 1}).translate(SHORT_TEXT), /max_cost needs pricing/)
+    })
+})
@@ -0,0 +1,81 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {MockChatModel, Translator} from "../src/index.js";
+import {check_translation, mqm_score, parse_quality_errors} from "../src/validation.js";
+
+const GERMAN = {source_lang: 'English', target_lang: 'German'}
+
+/**
+ * Checks failed by a translation.
+ * @param {string} source_text
+ * @param {string} translation
+ * @param {object} options
+ * @return {string[]}
+ */
+function failed(source_text, translation, options = GERMAN) {
+    return check_translation(source_text, translation, options).map(issue => issue.check)
+}
+
+describe('check_translation', () => {
+    it('passes a faithful translation', () => {
+        assert.deepEqual(failed("We sold 1,250 panels in 2024, see https://example.com/report.",
+            "Wir haben 2024 insgesamt 1.250 Paneele verkauft, siehe https://example.com/report."), [])
+    })
+
+    it('reports empty, truncated and padded translations', () => {
+        const source = "The cat sleeps on the warm windowsill all afternoon."
+        assert.deepEqual(failed(source, " "), ['length'])
+        assert.deepEqual(failed(source, "Die Katze."), ['length'])
+        assert.deepEqual(failed(source, `Die Katze schläft. ${"Hinweis: so übersetzt, weil es passt. ".repeat(5)}`), ['length'])
+    })
+
+    it('reports missing numbers and URLs', () => {
+        assert.deepEqual(failed("We sold 1,250 panels in 2024.", "Wir haben 2024 Paneele verkauft."), ['numbers'])
+        assert.deepEqual(failed("Read https://example.com/guide first.", "Lies zuerst die Anleitung."), ['urls'])
+    })
+
+    it('accepts numbers written as the target language does', () => {
+        assert.deepEqual(failed("The meeting starts at 3 pm on March 5th.", "Das Treffen beginnt am 5. März um 15 Uhr."), [])
+        assert.deepEqual(failed("The last train leaves at 11:45 p.m. on 2024-01-02.",
+            "Der letzte Zug fährt am 02.01.2024 um 23:45 Uhr."), [])
+        assert.deepEqual(failed("2 cats", "两只猫", {source_lang: 'English', target_lang: 'Chinese'}), [])
+        assert.deepEqual(failed("It costs 12 euros at 11 pm.", "Es kostet zwölf Euro um 23 Uhr."), ['numbers'])
+    })
+
+    it('reports a translation in the wrong script, ignoring the words kept from the source', () => {
+        const japanese = {source_lang: 'English', target_lang: 'Japanese'}
+        assert.deepEqual(failed("Install Acme Cloud Sync Pro on your MacBook Pro.",
+            "MacBook ProにAcme Cloud Sync Proをインストールします。", japanese), [])
+        assert.deepEqual(failed("Install the new version on your laptop today.",
+            "Install the new version on your laptop today.", japanese), ['script'])
+        assert.deepEqual(failed("Install the new version on your laptop today.",
+            "Installez la nouvelle version sur votre portable.", japanese), ['script'])
+    })
+
+    it('reports prompt tags left in the translation', () => {
+        assert.deepEqual(failed("The cat sleeps on the warm windowsill.",
+            "<TRANSLATE_THIS>Die Katze schläft auf dem warmen Fensterbrett.</TRANSLATE_THIS>"), ['tags'])
+    })
+})
+
+describe('quality score', () => {
+    it('scores the errors listed by the model per 100 words', () => {
+        const errors = parse_quality_errors("- major | accuracy | wrong number\nNo other issue.\nminor | style | wordy")
+        assert.deepEqual(errors, [
+            {severity: 'major', category: 'accuracy', description: "wrong number"},
+            {severity: 'minor', category: 'style', description: "wordy"},
+        ])
+        assert.equal(mqm_score("word ".repeat(50), errors), 88)
+        assert.equal(mqm_score("word", errors), 0)
+    })
+})
+
+describe('validation option', () => {
+    it('is off by default', async () => {
+        const model = new MockChatModel({responses: {improve: "Zu kurz."}})
+        const translator = new Translator({model, source_lang: 'English', target_lang: 'German'})
+        const result = await translator.translate("The cat sleeps on the warm windowsill all afternoon.", {details: true})
+        assert.equal(result.translation, "Zu kurz.")
+        assert.equal(model.calls.length, 3)
+    })
+})